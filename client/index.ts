@@ -0,0 +1,11 @@
+import { Context } from '@koishijs/client'
+import Stock from './stock.vue'
+
+export default (ctx: Context) => {
+  ctx.page({
+    name: '库存管理',
+    path: '/stock-manager',
+    authority: 3,
+    component: Stock,
+  })
+}
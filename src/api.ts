@@ -0,0 +1,162 @@
+import { Context } from 'koishi'
+import { resolve } from 'path'
+import { timingSafeEqual } from 'crypto'
+import {} from '@koishijs/plugin-server'
+import {} from '@koishijs/plugin-console'
+import type { StockItem, StockRecord } from './index'
+
+declare module '@koishijs/plugin-console' {
+  interface Events {
+    'stock-manager/stores'(): string[]
+    'stock-manager/items'(storeId: string): Promise<ItemView[]>
+    'stock-manager/records'(storeId: string, filter: RecordFilter): Promise<StockRecord[]>
+    'stock-manager/ranking'(storeId: string, item: string, type: 'consume' | 'add', filter: RecordFilter): Promise<RankingEntry[]>
+    'stock-manager/consumption'(storeId: string, days: number): Promise<ConsumptionSeries>
+    'stock-manager/operate'(storeId: string, operations: OperationInput[], operator?: string): Promise<OperationResponse>
+  }
+}
+
+// 物品的当前状态及其配置
+export interface ItemView extends StockItem {
+  unit: string
+  price?: number
+  cost?: number
+  lowThreshold?: number
+  criticalThreshold?: number
+  level: 'ok' | 'low' | 'critical'
+}
+
+// 记录筛选条件，日期为 YYYY-MM-DD（包含结束当天）
+export interface RecordFilter {
+  item?: string
+  user?: string
+  from?: string
+  to?: string
+  limit?: number
+}
+
+export interface RankingEntry {
+  userId: string
+  name: string
+  count: number
+}
+
+// 每日消耗量，values 与 dates 一一对应
+export interface ConsumptionSeries {
+  dates: string[]
+  items: { name: string; values: number[] }[]
+}
+
+export interface OperationInput {
+  // 物品名称或别名
+  item: string
+  operation: '+' | '-' | '='
+  // 按物品的计量单位，允许小数的物品可以填写小数
+  value: number
+  noRank?: boolean
+  // 补货批次的到期日期（YYYY-MM-DD），仅用于开启保质期管理的物品
+  expiry?: string
+}
+
+export interface OperationResponse {
+  changes: { item: string; change: number; balance: number }[]
+  // 库存均未变化时没有校验码
+  ref?: string
+}
+
+// HTTP API 和控制台共用的库存接口，出错时返回提示文本
+export interface StockApi {
+  listStores(): string[]
+  getItems(storeId: string): Promise<ItemView[] | string>
+  getRecords(storeId: string, filter: RecordFilter): Promise<StockRecord[] | string>
+  getRanking(storeId: string, item: string, type: 'consume' | 'add', filter: RecordFilter): Promise<RankingEntry[] | string>
+  getConsumption(storeId: string, days: number): Promise<ConsumptionSeries | string>
+  operate(storeId: string, actor: { userId: string; userName: string }, operations: OperationInput[]): Promise<OperationResponse | string>
+}
+
+// StockApi 以字符串返回错误提示，在需要抛出异常的调用方转换为 Error
+export async function unwrap<T>(task: Promise<T | string>): Promise<T> {
+  const result = await task
+  if (typeof result === 'string') throw new Error(result)
+  return result
+}
+
+// 注册 HTTP API，请求需携带 Authorization: Bearer <token> 请求头（不接受查询参数，避免令牌写入访问日志）
+export function registerHttpApi(ctx: Context, path: string, token: string, api: StockApi) {
+  const prefix = path.replace(/\/+$/, '')
+  const expected = Buffer.from(token)
+  // HTTP 请求没有会话，按 Koishi 的语言设置显示提示
+  const text = (key: string) => ctx.i18n.render([], [`stock-manager.api.${key}`], {}).map(element => element.toString(true)).join('')
+
+  function authorize(provided: string | undefined): boolean {
+    if (!provided) return false
+    const actual = Buffer.from(provided)
+    return actual.length === expected.length && timingSafeEqual(actual, expected)
+  }
+
+  type KoaContext = Parameters<Parameters<typeof ctx.server.get>[1]>[0]
+
+  async function respond<T>(koa: KoaContext, task: () => Promise<T | string>) {
+    if (!authorize(koa.get('authorization').replace(/^Bearer\s+/i, ''))) {
+      koa.status = 401
+      koa.body = { error: text('unauthorized') }
+      return
+    }
+    try {
+      const result = await task()
+      if (typeof result === 'string') {
+        koa.status = 400
+        koa.body = { error: result }
+      } else {
+        koa.body = result
+      }
+    } catch (err) {
+      ctx.logger('stock-manager').error('HTTP API 请求失败:', err)
+      koa.status = 500
+      koa.body = { error: text('internal-error') }
+    }
+  }
+
+  function getFilter(koa: KoaContext): RecordFilter {
+    const { item, user, from, to, limit } = koa.query
+    const text = (value: unknown) => typeof value === 'string' && value ? value : undefined
+    return { item: text(item), user: text(user), from: text(from), to: text(to), limit: text(limit) ? Number(limit) : undefined }
+  }
+
+  ctx.server.get(`${prefix}/stores`, koa => respond(koa, async () => api.listStores()))
+  ctx.server.get(`${prefix}/stores/:store/items`, koa => respond(koa, () => api.getItems(koa.params.store)))
+  ctx.server.get(`${prefix}/stores/:store/records`, koa => respond(koa, () => api.getRecords(koa.params.store, getFilter(koa))))
+  ctx.server.get(`${prefix}/stores/:store/ranking`, koa => respond(koa, () => {
+    const type = koa.query.type === 'add' ? 'add' : 'consume'
+    return api.getRanking(koa.params.store, String(koa.query.item || ''), type, getFilter(koa))
+  }))
+  ctx.server.get(`${prefix}/stores/:store/consumption`, koa => respond(koa, () => {
+    return api.getConsumption(koa.params.store, Number(koa.query.days) || 30)
+  }))
+  ctx.server.post(`${prefix}/stores/:store/operations`, koa => respond(koa, () => {
+    // 请求体由 server 插件解析
+    const body = ((koa.request as { body?: unknown }).body || {}) as { operations?: OperationInput[]; operator?: string }
+    const actor = { userId: 'api', userName: body.operator || 'HTTP API' }
+    return api.operate(koa.params.store, actor, body.operations || [])
+  }))
+
+  ctx.logger('stock-manager').info(`HTTP API 已启用：${prefix}`)
+}
+
+// 注册控制台页面和数据接口，查看需要 3 级权限，修改库存需要 4 级权限
+export function registerConsole(ctx: Context, api: StockApi) {
+  ctx.console.addEntry({
+    dev: resolve(__dirname, '../client/index.ts'),
+    prod: resolve(__dirname, '../dist'),
+  })
+
+  const read = { authority: 3 }
+  ctx.console.addListener('stock-manager/stores', () => api.listStores(), read)
+  ctx.console.addListener('stock-manager/items', storeId => unwrap(api.getItems(storeId)), read)
+  ctx.console.addListener('stock-manager/records', (storeId, filter) => unwrap(api.getRecords(storeId, filter)), read)
+  ctx.console.addListener('stock-manager/ranking', (storeId, item, type, filter) => unwrap(api.getRanking(storeId, item, type, filter)), read)
+  ctx.console.addListener('stock-manager/consumption', (storeId, days) => unwrap(api.getConsumption(storeId, days)), read)
+  ctx.console.addListener('stock-manager/operate', (storeId, operations, operator) => {
+    return unwrap(api.operate(storeId, { userId: 'console', userName: operator || '控制台' }, operations))
+  }, { authority: 4 })
+}
@@ -0,0 +1,64 @@
+// CSV 编码与解析，格式兼容 Excel 等表格软件
+
+// UTF-8 BOM，使 Excel 能正确识别中文
+const BOM = '\ufeff'
+
+// 以这些字符开头的文本会被 Excel 当作公式执行
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+function formatCell(value: unknown): string {
+  if (value === undefined || value === null) return ''
+  // 用户填写的昵称和名称前加 ' 作为文本显示，数字（如负数变化量）保持原样
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// 将二维数组编码为 CSV 文本
+export function formatCsv(rows: unknown[][]): string {
+  return BOM + rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n'
+}
+
+// 解析 CSV 文本，支持引号转义和单元格内换行，忽略空行，导出时为防止公式添加的 ' 会被去掉
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = []
+  let row: string[] = []
+  let cell = ''
+  let quoted = false
+  const source = text.replace(/^\ufeff/, '')
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (quoted) {
+      if (char !== '"') {
+        cell += char
+      } else if (source[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else {
+        quoted = false
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  row.push(cell)
+  rows.push(row)
+
+  return rows
+    .map(row => row.map(cell => {
+      const text = cell.trim()
+      return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text
+    }))
+    .filter(row => row.some(cell => cell))
+}
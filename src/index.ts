@@ -1,13 +1,25 @@
-import { Context, Schema, Session } from 'koishi'
-import { promises as fs } from 'fs'
+import { Channel, Context, Dict, h, Schema, Session, User } from 'koishi'
 import { join } from 'path'
-import * as yaml from 'yaml'
-import { randomBytes } from 'crypto'
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto'
+import { createDatabaseStorage, createYamlStorage, StockStorage } from './storage'
+import { formatCsv, parseCsv } from './csv'
+import { parseQuantity } from './quantity'
+import { renderRanking, renderStockCards, renderTrend, StockCard, toImage } from './render'
+import { ConsumptionSeries, ItemView, OperationInput, OperationResponse, RankingEntry, RecordFilter, registerConsole, registerHttpApi, StockApi, unwrap } from './api'
+import { StockService } from './service'
+import zhCN from './locales/zh-CN.json'
+import enUS from './locales/en-US.json'
+
+export type { ItemView, OperationInput, OperationResponse, RankingEntry, RecordFilter } from './api'
+export type { StockActor, StockService } from './service'
 
 export const name = 'stock-manager'
 
-// 不再需要数据库依赖
-export const inject: string[] = []
+// 数据库为可选依赖，用于数据库存储后端和读取用户的权限等级；http 用于下载导入的文件
+// server 和 console 分别用于 HTTP API 和控制台页面，puppeteer 用于渲染图片
+export const inject = {
+  optional: ['database', 'http', 'server', 'console', 'puppeteer'],
+}
 
 export interface StockItem {
   name: string
@@ -15,6 +27,21 @@ export interface StockItem {
   count: number
   totalAdded: number
   totalConsumed: number
+  // 通过指令新增或修改过的物品，加载时使用保存的别名而不是配置中的别名
+  managed?: boolean
+  // 已归档的物品不能再操作，历史记录仍可查询和导出
+  archived?: boolean
+  // 改名前使用过的名称，用于关联改名前的操作记录和配置
+  formerNames?: string[]
+  // 开启保质期管理的物品按批次记录库存，数量之和等于 count
+  lots?: StockLot[]
+}
+
+// 同一到期日期的一批库存
+export interface StockLot {
+  count: number
+  // 到期日期（YYYY-MM-DD），补货时未填写到期日期的批次最后消耗
+  expiry?: string
 }
 
 export interface StockRecord {
@@ -25,265 +52,652 @@ export interface StockRecord {
   change: number
   timestamp: number
   isRanked: boolean
+  // 操作后的库存数量
+  balance?: number
+  // 校验码中冒号后的部分：时间戳_QQ号_物品名_随机十六进制数字6位，配置密钥时追加8位签名
+  ref?: string
+  // 撤销记录对应的原始记录ID
+  revertOf?: number
+  // 盘点差异记录所属的盘点（盘点开始时间戳），不计入排行榜，单独统计
+  audit?: number
+  // 操作时的售价和进价（元/单位）
+  price?: number
+  cost?: number
+  // 开启保质期管理的物品各批次的数量变化
+  lots?: StockLot[]
+  // 过期报损记录，不计入排行榜
+  waste?: boolean
+  // 通过采购单完成的补货所属的采购单ID
+  order?: number
+}
+
+// 采购单：按目标库存生成的待购物品，认领后由认领人采购并补货
+export interface PurchaseOrder {
+  // 库存点内递增的编号
+  id: number
+  createdAt: number
+  status: 'open' | 'done' | 'cancelled'
+  lines: { itemName: string; count: number }[]
+  claimedBy?: string
+  claimedByName?: string
+  claimedAt?: number
+  closedAt?: number
+  // 完成采购单的补货操作的校验码
+  ref?: string
+}
+
+export interface ItemConfig {
+  name: string
+  aliases: string[]
+  unit?: string
+  packs?: { name: string; size: number }[]
+  fractional?: boolean
+  lowThreshold?: number
+  criticalThreshold?: number
+  price?: number
+  cost?: number
+  targetLevel?: number
+  leadDays?: number
+  trackExpiry?: boolean
+}
+
+// 回复设置，库存点未配置的项使用全局配置
+export interface ReplyConfig {
+  locale?: string
+  // 以文本路径（如 operation.result）为键覆盖 i18n 文本
+  templates?: Dict<string>
+  showRanking?: boolean
+  showCode?: boolean
+}
+
+export interface StoreConfig extends ReplyConfig {
+  id: string
+  groups: string[]
+  items: ItemConfig[]
 }
 
 export interface Config {
   whitelistGroups: string[]
   getCodeTag: string
-  items: Array<{
-    name: string
-    aliases: string[]
-  }>
+  getCodeSecret?: string
+  roleControl: boolean
+  admins: string[]
+  adminAuthority: number
+  restockers: string[]
+  restockerAuthority: number
+  items: ItemConfig[]
+  stores: StoreConfig[]
+  isolateChannels: boolean
+  dailySummaryTime: string
+  forecastDays: number
+  forecastByWeekday: boolean
+  forecastTargetDays: number
+  forecastLeadDays: number
+  expiryWarningDays: number
+  storage: 'yaml' | 'database'
+  backupCount: number
+  apiPath: string
+  apiToken?: string
+  imageReplies: boolean
+  unit: string
+  naturalLanguage: boolean
+  locale?: string
+  templates: Dict<string>
+  showRanking: boolean
+  showCode: boolean
   queryMessages: string[]
-  defaultQueryMessage: string
+  defaultQueryMessage?: string
 }
 
+const ItemConfig: Schema<ItemConfig> = Schema.object({
+  name: Schema.string().required().description('物品名称'),
+  aliases: Schema.array(Schema.string()).required().description('别名列表'),
+  unit: Schema.string().description('计量单位，不填写时使用全局的 unit'),
+  packs: Schema.array(Schema.object({
+    name: Schema.string().required().description('包装名称，如 箱'),
+    size: Schema.number().min(0).required().description('每个包装包含的数量'),
+  })).description('包装规格，如 water+2箱 按每箱的数量换算').default([]),
+  fractional: Schema.boolean().description('允许小数数量（按重量等计量的物品）').default(false),
+  lowThreshold: Schema.natural().description('低库存阈值，库存不高于该数量时提醒'),
+  criticalThreshold: Schema.natural().description('严重不足阈值，库存不高于该数量时再次提醒'),
+  price: Schema.number().min(0).description('售价（元/单位），消耗时向消耗者收取'),
+  cost: Schema.number().min(0).description('进价（元/单位），补货时向补货者报销'),
+  targetLevel: Schema.natural().description('目标库存，建议补货量补足到该数量（不填写时按预测消耗计算）'),
+  leadDays: Schema.natural().description('预计多少天内用完时提醒，覆盖全局的 forecastLeadDays'),
+  trackExpiry: Schema.boolean().description('按批次记录到期日期（补货时使用 water+24@2026-12-01），消耗时先消耗最早到期的批次').default(false),
+})
+
 export const Config: Schema<Config> = Schema.object({
   whitelistGroups: Schema.array(Schema.string()).description('白名单群组ID列表').default([]),
   getCodeTag: Schema.string()
     .description('每次修改库存后追加的校验码标识（不含冒号），最终输出为 `${getCodeTag}: 时间戳_QQ号_物品名_随机十六进制数字6位`')
     .default('wmc_ref'),
-  items: Schema.array(Schema.object({
-    name: Schema.string().required().description('物品名称'),
-    aliases: Schema.array(Schema.string()).required().description('别名列表')
-  })).description('物品配置').default([
+  getCodeSecret: Schema.string().role('secret').description('校验码签名密钥，设置后校验码末尾追加 HMAC 签名，可防止伪造'),
+  roleControl: Schema.boolean().description('启用角色权限：管理员可执行 =、-r 操作和 stock.set，补货员可执行 + 操作，其他成员只能消耗和查询').default(false),
+  admins: Schema.array(Schema.string()).description('管理员用户ID列表（可撤销他人的操作）').default([]),
+  adminAuthority: Schema.natural().description('达到该 Koishi 权限等级的用户视为管理员（需要数据库，0 表示不使用）').default(0),
+  restockers: Schema.array(Schema.string()).description('补货员用户ID列表').default([]),
+  restockerAuthority: Schema.natural().description('达到该 Koishi 权限等级的用户视为补货员（需要数据库，0 表示不使用）').default(0),
+  items: Schema.array(ItemConfig).description('物品配置（默认库存点使用）').default([
     { name: '纯净水', aliases: ['water', '水', '纯净水'] }
   ]),
+  stores: Schema.array(Schema.object({
+    id: Schema.string().pattern(/^[\w-]+$/).required().description('库存点ID（仅限字母、数字、下划线和连字符，用作数据目录名）'),
+    groups: Schema.array(Schema.string()).required().description('使用该库存点的群组ID列表'),
+    items: Schema.array(ItemConfig).required().description('该库存点的物品配置'),
+    locale: Schema.string().description('回复使用的语言（如 zh-CN、en-US），不填写时使用全局设置'),
+    templates: Schema.dict(String).role('table').description('该库存点的回复模板，覆盖全局模板'),
+    showRanking: Schema.boolean().description('操作后是否显示排行榜，不填写时使用全局设置'),
+    showCode: Schema.boolean().description('操作后是否显示校验码，不填写时使用全局设置'),
+  })).description('独立库存点（机厅）配置，每个库存点拥有独立的物品、库存、记录和排行榜').default([]),
+  isolateChannels: Schema.boolean().description('未归属任何库存点的群是否各自使用独立库存（关闭时共用默认库存点）').default(false),
+  dailySummaryTime: Schema.string().pattern(/^(([01]?\d|2[0-3]):[0-5]\d)?$/).description('每日发送低库存汇总的时间（HH:mm），留空表示不发送').default(''),
+  forecastDays: Schema.natural().min(1).description('消耗预测统计最近多少天的消耗记录').default(28),
+  forecastByWeekday: Schema.boolean().description('按星期几分别统计日均消耗（周末和工作日消耗差异较大时更准确）').default(true),
+  forecastTargetDays: Schema.natural().description('未配置目标库存的物品，建议补货量按补足多少天的消耗计算').default(14),
+  forecastLeadDays: Schema.natural().description('预计多少天内用完时提醒补货（0 表示不提醒）').default(0),
+  expiryWarningDays: Schema.natural().description('每日汇总时提醒多少天内到期的批次（0 表示不提醒）').default(3),
+  storage: Schema.union([
+    Schema.const('yaml').description('YAML 文件'),
+    Schema.const('database').description('Koishi 数据库'),
+  ]).description('数据存储方式，选择数据库时首次启动会自动导入已有的 YAML 数据，数据库服务不可用时暂停读写').default('yaml'),
+  backupCount: Schema.natural().description('YAML 存储时保留的 items.yml 历史版本数量（0 表示不备份）').default(5),
+  apiPath: Schema.string().description('HTTP API 路径前缀').default('/stock-manager'),
+  apiToken: Schema.string().role('secret').description('HTTP API 访问令牌，留空表示不启用 HTTP API（控制台页面不需要令牌）'),
+  imageReplies: Schema.boolean().description('以图片发送操作后的排行榜和查询结果（安装 puppeteer 插件时由浏览器渲染）').default(false),
+  unit: Schema.string().description('默认计量单位，用于回复消息').default('瓶'),
+  naturalLanguage: Schema.boolean().description('识别“喝了一瓶水”“水还剩10瓶”等自然语言操作').default(true),
+  locale: Schema.string().description('回复使用的语言（如 zh-CN、en-US），不填写时按 Koishi 的语言设置'),
+  templates: Schema.dict(String).role('table').description('回复模板，以文本路径（如 operation.result）为键覆盖语言文件中的文本').default({}),
+  showRanking: Schema.boolean().description('操作后显示排行榜更新').default(true),
+  showCode: Schema.boolean().description('操作后显示校验码').default(true),
   queryMessages: Schema.array(Schema.string()).description('查询消息模板列表').default(['{name}有多少', '{name}几', '{name}j']),
-  defaultQueryMessage: Schema.string().description('默认查询回复模板').default('{name}当前库存：{count}瓶\n累计添加：{totalAdded}瓶\n累计消耗：{totalConsumed}瓶\n最近操作：{recentRecords}')
+  defaultQueryMessage: Schema.string().description('查询回复模板，等同于 templates 中的 query.message，留空时使用语言文件中的文本'),
 })
 
+// 默认库存点ID，未配置 stores 时所有群共用该库存点
+export const DEFAULT_STORE_ID = 'default'
+
+type Role = 'admin' | 'restocker' | 'member'
+
+type StockLevel = 'ok' | 'low' | 'critical'
+
+// expiry 为补货批次的到期日期（YYYY-MM-DD），仅用于开启保质期管理的物品
+type Operation = { itemName: string; operation: '+' | '-' | '='; value: number; noRank: boolean; expiry?: string }
+
+// 时间范围（毫秒时间戳，左闭右开），缺省表示不限
+type TimeRange = { from?: number; to?: number }
+
+// 执行操作的用户，聊天消息之外也可以来自 HTTP API 或控制台
+type Actor = { userId: string; userName: string }
+
+// 创建操作记录时由调用方提供的字段
+type RecordEntry = Pick<StockRecord, 'itemName' | 'change' | 'isRanked' | 'balance' | 'revertOf' | 'audit' | 'lots' | 'waste' | 'order'>
+
+// 执行一组操作的结果
+interface OperationResult {
+  results: { op: Operation; change: number; balance: number; lots?: StockLot[] }[]
+  // 操作写入的记录，库存均未变化时为空
+  records: StockRecord[]
+  items: StockItem[]
+  // 跨越阈值产生的低库存提醒
+  alerts: string[]
+}
+
+// 进行中的盘点，记录每个物品的盘点数量和盘点时的系统库存
+interface Audit {
+  // 开始时间戳，同时作为盘点标识
+  id: number
+  userId: string
+  counts: Map<string, { count: number; expected: number; userName: string }>
+}
+
+// 单个库存点（机厅）的运行时状态
+interface Store {
+  id: string
+  items: ItemConfig[]
+  // 接收提醒和汇总的群组
+  groups: string[]
+  stockData: Map<string, StockItem>
+  aliasMap: Map<string, string>
+  // 物品改名前的名称到当前名称的映射
+  renamedItems: Map<string, string>
+  recordsCache: StockRecord[] | null
+  // 采购单，首次使用时加载
+  ordersCache: PurchaseOrder[] | null
+  // 已被撤销的记录ID
+  revertedIds: Set<number>
+  nextRecordId: number
+  // 每个物品当前的库存水位，用于只在跨越阈值时提醒一次
+  stockLevels: Map<string, StockLevel>
+  initPromise: Promise<void> | null
+  // 加载失败的原因，存在时禁止读写以免覆盖原数据
+  loadError: string | null
+  // 串行执行修改库存的操作，避免并发消息同时修改同一物品
+  lock: Promise<void>
+  // 进行中的盘点，仅保存在内存中
+  audit: Audit | null
+  // 已发送用完预警的物品，预计可用天数回到提醒范围外后重新提醒
+  forecastAlerts: Set<string>
+  // 库存点的回复设置
+  replies: ReplyConfig
+}
+
+// 物品的消耗预测
+interface Forecast {
+  // 统计窗口内的日均消耗
+  dailyAverage: number
+  // 按星期几（0 为周日）统计的日均消耗，未开启按星期预测时为 null
+  weekdayAverages: number[] | null
+  // 预计可用天数，没有消耗或一年内不会用完时为 Infinity
+  daysLeft: number
+  // 目标库存及补足所需的数量
+  target: number
+  suggested: number
+}
+
 export function apply(ctx: Context, config: Config) {
-  function createGetCode(params: { timestamp: number; userId: string; itemName: string }): string {
+  ctx.i18n.define('zh-CN', zhCN)
+  ctx.i18n.define('en-US', enUS)
+
+  // 回复使用的语言：库存点或全局配置的语言优先，其次为会话、频道和用户的语言，最后按 Koishi 的语言设置回退
+  function getLocales(store: Store | null, session?: Session): string[] {
+    const locale = store?.replies.locale || config.locale
+    return [
+      ...locale ? [locale] : [],
+      ...session?.locales || [],
+      ...(session?.channel as Partial<Channel> | undefined)?.locales || [],
+      ...(session?.user as Partial<User> | undefined)?.locales || [],
+    ]
+  }
+
+  // 全局回复模板，defaultQueryMessage 等同于 query.message 模板
+  const templates: Dict<string> = config.defaultQueryMessage
+    ? { 'query.message': config.defaultQueryMessage, ...config.templates }
+    : config.templates
+
+  // 渲染回复文本：优先使用库存点或全局配置的模板，否则使用语言文件中的 stock-manager.<path>
+  // 两者使用相同的 {name} 形式占位符，结果为纯文本
+  function getText(store: Store | null, session: Session | undefined, path: string, params: object = {}): string {
+    const template = store?.replies.templates?.[path] ?? templates[path]
+    const elements = template !== undefined
+      ? h.parse(template, params)
+      : ctx.i18n.render(getLocales(store, session), [`stock-manager.${path}`], params)
+    return elements.map(element => element.toString(true)).join('')
+  }
+
+  // 按当前语言的分隔符连接列表
+  function joinList(store: Store | null, session: Session | undefined, values: string[]): string {
+    return values.join(getText(store, session, 'general.separator'))
+  }
+
+  function getCodeTag(): string {
+    return (config.getCodeTag || 'wmc_ref').trim().replace(/:$/, '') || 'wmc_ref'
+  }
+
+  // 计算校验码签名，覆盖库存点和同一校验码下所有记录的关键字段
+  function signRef(store: Store, records: StockRecord[], rand6: string): string {
+    const [first] = records
+    const itemNames = records.map(record => record.itemName).join('+')
+    const changes = records.flatMap(record => [record.change, record.balance])
+    const payload = [store.id, first.timestamp, first.userId, itemNames, rand6, ...changes].join('|')
+    return createHmac('sha256', config.getCodeSecret!).update(payload).digest('hex').slice(0, 8)
+  }
+
+  // 生成校验码，批量操作的多条记录共用一个校验码
+  function createRef(store: Store, records: StockRecord[]): string {
     const rand6 = randomBytes(3).toString('hex') // 6位十六进制
-    const tag = (config.getCodeTag || 'wmc_ref').trim().replace(/:$/, '') || 'wmc_ref'
-    return `${tag}: ${params.timestamp}_${params.userId}_${params.itemName}_${rand6}`
+    const [first] = records
+    const ref = `${first.timestamp}_${first.userId}_${records.map(record => record.itemName).join('+')}_${rand6}`
+    if (!config.getCodeSecret) return ref
+    return `${ref}_${signRef(store, records, rand6)}`
+  }
+
+  function formatGetCode(ref: string): string {
+    return `${getCodeTag()}: ${ref}`
+  }
+
+  function getActor(store: Store, session: Session): Actor {
+    return {
+      userId: session.userId || 'unknown',
+      userName: session.author?.nickname || session.username || getText(store, session, 'general.unknown-user'),
+    }
+  }
+
+  // 操作回复末尾的校验码，库存点关闭显示时不追加
+  function appendCode(store: Store, sections: (string | h)[], ref: string) {
+    if (store.replies.showCode ?? config.showCode) sections.push(formatGetCode(ref))
+  }
+
+  // 创建一组共用同一校验码的操作记录（单个操作时只有一条）
+  function createRecords(actor: Actor, store: Store, entries: RecordEntry[]): StockRecord[] {
+    const { userId, userName } = actor
+    const timestamp = Date.now()
+    const records = entries.map(params => {
+      const record: StockRecord = {
+        id: 0, // 会在 addRecord 中设置
+        itemName: params.itemName,
+        userId,
+        userName,
+        change: params.change,
+        timestamp,
+        isRanked: params.isRanked,
+        balance: params.balance,
+      }
+      if (params.revertOf !== undefined) record.revertOf = params.revertOf
+      if (params.audit !== undefined) record.audit = params.audit
+      if (params.lots?.length) record.lots = params.lots
+      if (params.waste) record.waste = true
+      if (params.order !== undefined) record.order = params.order
+      const itemConfig = getItemConfig(store, params.itemName)
+      if (itemConfig?.price !== undefined) record.price = itemConfig.price
+      if (itemConfig?.cost !== undefined) record.cost = itemConfig.cost
+      return record
+    })
+    const ref = createRef(store, records)
+    records.forEach(record => record.ref = ref)
+    return records
   }
 
   // 数据文件路径
-  const dataDir = join(ctx.baseDir, 'data', 'stock-manager')
-  const itemsFile = join(dataDir, 'items.yml')
-  const recordsFile = join(dataDir, 'records.yml')
+  const baseDataDir = join(ctx.baseDir, 'data', 'stock-manager')
+
+  // 选择存储后端，YAML 文件存储同时作为数据库存储的导入来源
+  const yamlStorage = createYamlStorage(ctx, baseDataDir, DEFAULT_STORE_ID, config.backupCount)
+  let storage: StockStorage = yamlStorage
+  // 使用数据库存储时数据库服务是否可用，不可用期间库存点暂停读写并回复提示，不改用 YAML 文件以免数据分散在两处
+  let databaseReady = config.storage !== 'database'
+
+  // 已创建的库存点
+  const stores = new Map<string, Store>()
+
+  // 根据物品列表创建别名映射，别名冲突时保留先出现的物品并记录警告
+  function buildAliasMap(storeId: string, items: { name: string; aliases: string[] }[]): Map<string, string> {
+    const aliasMap = new Map<string, string>()
+    items.forEach(item => {
+      item.aliases.forEach(alias => {
+        const key = alias.toLowerCase()
+        const owner = aliasMap.get(key)
+        if (owner && owner !== item.name) {
+          ctx.logger('stock-manager').warn(`库存点 ${storeId} 中别名 ${alias} 同时属于 ${owner} 和 ${item.name}，已忽略后者`)
+          return
+        }
+        aliasMap.set(key, item.name)
+      })
+    })
+    return aliasMap
+  }
+
+  // 物品或别名变化后重建别名映射和改名映射
+  function rebuildAliasMap(store: Store) {
+    const items = Array.from(store.stockData.values())
+    store.aliasMap = buildAliasMap(store.id, items)
+    store.renamedItems = new Map()
+    for (const item of items) {
+      item.formerNames?.forEach(name => store.renamedItems.set(name, item.name))
+    }
+  }
 
-  // 存储库存数据（内存缓存，从文件同步）
-  const stockData = new Map<string, StockItem>()
-  let nextRecordId = 1
+  function createStore(id: string, items: ItemConfig[], groups: string[], replies: ReplyConfig): Store {
+    return {
+      id,
+      items,
+      groups,
+      stockData: new Map(),
+      // 加载数据前先使用配置中的别名
+      aliasMap: buildAliasMap(id, items),
+      renamedItems: new Map(),
+      recordsCache: null,
+      ordersCache: null,
+      revertedIds: new Set(),
+      nextRecordId: 1,
+      stockLevels: new Map(),
+      initPromise: null,
+      loadError: null,
+      lock: Promise.resolve(),
+      audit: null,
+      forecastAlerts: new Set(),
+      replies,
+    }
+  }
 
-  // 确保数据目录存在
-  async function ensureDataDir() {
-    try {
-      await fs.mkdir(dataDir, { recursive: true })
-    } catch (err) {
-      ctx.logger('stock-manager').error('创建数据目录失败:', err)
-      throw err
+  // 获取（必要时创建）库存点
+  function getStore(id: string, items: ItemConfig[], groups: string[], replies: ReplyConfig = {}): Store {
+    let store = stores.get(id)
+    if (!store) {
+      store = createStore(id, items, groups, replies)
+      stores.set(id, store)
+    }
+    return store
+  }
+
+  // 将频道ID转换为可用作目录名的库存点ID
+  function channelStoreId(channelId: string): string {
+    return `channel-${channelId.replace(/[^\w-]/g, '_')}`
+  }
+
+  // 默认库存点的提醒发送到未归属其他库存点的白名单群
+  function getDefaultStore(): Store {
+    const groups = config.whitelistGroups.filter(group => !config.stores.some(store => store.groups.includes(group)))
+    return getStore(DEFAULT_STORE_ID, config.items, groups)
+  }
+
+  // 根据频道解析所属库存点，不可用时返回 null
+  function resolveStore(channelId: string): Store | null {
+    const storeConfig = config.stores.find(store => store.groups.includes(channelId))
+    if (storeConfig) return getStore(storeConfig.id, storeConfig.items, storeConfig.groups, storeConfig)
+    if (!isWhitelisted(channelId)) return null
+    if (config.isolateChannels) return getStore(channelStoreId(channelId), config.items, [channelId])
+    return getDefaultStore()
+  }
+
+  function createStockItem(item: ItemConfig): StockItem {
+    return {
+      name: item.name,
+      aliases: item.aliases,
+      count: 0,
+      totalAdded: 0,
+      totalConsumed: 0
     }
   }
 
   // 加载库存数据
-  async function loadStockData() {
+  async function loadStockData(store: Store) {
+    const { stockData } = store
     try {
-      await ensureDataDir()
-      const content = await fs.readFile(itemsFile, 'utf-8').catch(() => '')
-      if (!content.trim()) {
-        // 文件不存在或为空，初始化数据
-        for (const item of config.items) {
-          stockData.set(item.name, {
-            name: item.name,
-            aliases: item.aliases,
-            count: 0,
-            totalAdded: 0,
-            totalConsumed: 0
-          })
+      const data = await storage.loadItems(store.id)
+      if (!data) {
+        // 尚无数据，初始化数据
+        for (const item of store.items) {
+          stockData.set(item.name, createStockItem(item))
         }
-        await saveStockData()
+        await storage.saveItems(store.id, Array.from(stockData.values()))
         return
       }
 
-      const data: Record<string, StockItem> = yaml.parse(content) || {}
       stockData.clear()
 
-      // 加载文件中的数据，但保留配置中的最新别名
-      for (const item of config.items) {
-        const savedItem = data[item.name]
+      // 加载已保存的数据，配置中的物品可能已通过指令改名
+      const savedItems = Object.values(data)
+      const loaded = new Set<string>()
+      for (const item of store.items) {
+        const savedItem = data[item.name] || savedItems.find(saved => saved.formerNames?.includes(item.name))
         if (savedItem) {
-          stockData.set(item.name, {
-            ...savedItem,
-            aliases: item.aliases // 使用配置中的最新别名
-          })
+          loaded.add(savedItem.name)
+          // 通过指令管理过的物品使用保存的别名，否则使用配置中的最新别名
+          stockData.set(savedItem.name, savedItem.managed ? savedItem : { ...savedItem, aliases: item.aliases })
         } else {
-          stockData.set(item.name, {
-            name: item.name,
-            aliases: item.aliases,
-            count: 0,
-            totalAdded: 0,
-            totalConsumed: 0
-          })
+          stockData.set(item.name, createStockItem(item))
         }
       }
-      
-      ctx.logger('stock-manager').info(`成功加载 ${stockData.size} 个物品的数据`)
-    } catch (err) {
-      ctx.logger('stock-manager').error('加载库存数据失败:', err)
-      // 如果加载失败，至少确保内存中有数据
-      for (const item of config.items) {
-        if (!stockData.has(item.name)) {
-          stockData.set(item.name, {
-            name: item.name,
-            aliases: item.aliases,
-            count: 0,
-            totalAdded: 0,
-            totalConsumed: 0
-          })
-        }
-      }
-    }
-  }
 
-  // 保存库存数据
-  async function saveStockData() {
-    try {
-      await ensureDataDir()
-      const data: Record<string, StockItem> = {}
-      stockData.forEach((item, name) => {
-        data[name] = item
-      })
-      const content = yaml.stringify(data, { 
-        indent: 2,
-        lineWidth: 0,
-        defaultStringType: 'QUOTE_DOUBLE'
-      })
-      await fs.writeFile(itemsFile, content, 'utf-8')
-      ctx.logger('stock-manager').debug('已保存库存数据')
+      // 配置中没有的物品：指令新增的照常加载，已从配置中移除的作为归档物品保留历史
+      for (const savedItem of savedItems) {
+        if (loaded.has(savedItem.name)) continue
+        stockData.set(savedItem.name, savedItem.managed ? savedItem : { ...savedItem, archived: true })
+      }
+      rebuildAliasMap(store)
+      
+      ctx.logger('stock-manager').info(`库存点 ${store.id} 成功加载 ${stockData.size} 个物品的数据`)
     } catch (err) {
-      ctx.logger('stock-manager').error('保存库存数据失败:', err)
-      throw err
+      // 加载失败时不初始化为零，避免后续保存覆盖原数据，需由管理员从备份恢复
+      ctx.logger('stock-manager').error(`库存点 ${store.id} 加载库存数据失败，已停止该库存点的读写:`, err)
+      store.loadError = (err instanceof Error ? err.message : String(err)).split('\n')[0]
     }
   }
 
-  // 保存单个物品（延迟保存，避免频繁写文件）
-  let saveTimer: NodeJS.Timeout | null = null
-  async function saveStockItem(item: StockItem) {
-    stockData.set(item.name, item)
-    // 防抖：500ms 内多次保存只执行一次
-    if (saveTimer) {
-      clearTimeout(saveTimer)
-    }
-    saveTimer = setTimeout(async () => {
-      await saveStockData()
-      saveTimer = null
-    }, 500)
+  // 保存物品（批量操作时一次写入多个）
+  async function saveStockItems(store: Store, items: StockItem[]) {
+    for (const item of items) store.stockData.set(item.name, item)
+    await storage.saveItems(store.id, items)
   }
 
   // 加载操作记录
-  async function loadRecords(): Promise<StockRecord[]> {
+  async function loadRecords(store: Store): Promise<StockRecord[]> {
     try {
-      await ensureDataDir()
-      const content = await fs.readFile(recordsFile, 'utf-8').catch(() => '')
-      if (!content.trim()) {
-        return []
+      const records = await storage.loadRecords(store.id)
+      for (const record of records) {
+        if (record.revertOf !== undefined) store.revertedIds.add(record.revertOf)
       }
-      const records: StockRecord[] = yaml.parse(content) || []
-      // 更新 nextRecordId
+      // 更新 nextRecordId，流水不截断，记录很多时展开参数会超出调用栈，逐条比较
       if (records.length > 0) {
-        nextRecordId = Math.max(...records.map(r => r.id || 0)) + 1
+        store.nextRecordId = records.reduce((max, r) => Math.max(max, r.id || 0), 0) + 1
       }
       return records
     } catch (err) {
-      ctx.logger('stock-manager').error('加载操作记录失败:', err)
+      ctx.logger('stock-manager').error(`库存点 ${store.id} 加载操作记录失败:`, err)
       return []
     }
   }
 
-  // 保存操作记录
-  async function saveRecords(records: StockRecord[]) {
-    try {
-      await ensureDataDir()
-      // 只保留最近100条记录
-      const recentRecords = records
-        .sort((a, b) => b.timestamp - a.timestamp)
-        .slice(0, 100)
-        .reverse() // 按时间顺序存储
-
-      const content = yaml.stringify(recentRecords, {
-        indent: 2,
-        lineWidth: 0,
-        defaultStringType: 'QUOTE_DOUBLE'
-      })
-      await fs.writeFile(recordsFile, content, 'utf-8')
-      ctx.logger('stock-manager').debug(`已保存 ${recentRecords.length} 条操作记录`)
-    } catch (err) {
-      ctx.logger('stock-manager').error('保存操作记录失败:', err)
-      throw err
-    }
-  }
-
   // 添加操作记录
-  let recordsCache: StockRecord[] | null = null
-  let recordsTimer: NodeJS.Timeout | null = null
-  async function addRecord(record: StockRecord) {
-    if (!recordsCache) {
-      recordsCache = await loadRecords()
-    }
+  async function addRecord(store: Store, record: StockRecord) {
+    const records = await getRecords(store)
     
-    record.id = nextRecordId++
-    recordsCache.push(record)
+    record.id = store.nextRecordId++
+    records.push(record)
+    if (record.revertOf !== undefined) store.revertedIds.add(record.revertOf)
 
-    // 防抖保存
-    if (recordsTimer) {
-      clearTimeout(recordsTimer)
-    }
-    recordsTimer = setTimeout(async () => {
-      if (recordsCache) {
-        await saveRecords(recordsCache)
-      }
-      recordsTimer = null
-    }, 500)
+    await storage.appendRecord(store.id, record)
+
+    // 库存已在写入记录前保存，事件中的物品为变化后的状态
+    ctx.emit('stock/record-added', store.id, record)
+    const item = store.stockData.get(getRecordItemName(store, record))
+    if (item) ctx.emit('stock/changed', store.id, toItemView(store, item), record)
   }
 
   // 获取操作记录
-  async function getRecords(): Promise<StockRecord[]> {
-    if (!recordsCache) {
-      recordsCache = await loadRecords()
+  async function getRecords(store: Store): Promise<StockRecord[]> {
+    if (!store.recordsCache) {
+      store.recordsCache = await loadRecords(store)
     }
-    return recordsCache
+    return store.recordsCache
   }
 
-  // 创建别名映射
-  const aliasMap = new Map<string, string>()
-  config.items.forEach(item => {
-    item.aliases.forEach(alias => {
-      aliasMap.set(alias.toLowerCase(), item.name)
-    })
-  })
+  // 初始化库存点数据（每个库存点只加载一次）
+  async function ensureInitialized(store: Store) {
+    if (store.initPromise) return store.initPromise
+    // 数据库服务可用后再加载
+    if (!databaseReady) return
 
-  // 初始化数据
-  let initialized = false
-  let initPromise: Promise<void> | null = null
-  
-  async function ensureInitialized() {
-    if (initialized) return
-    if (initPromise) return initPromise
-    
-    initPromise = (async () => {
+    store.initPromise = (async () => {
       try {
-        await loadStockData()
-        await loadRecords() // 预加载记录
-        ctx.logger('stock-manager').info('数据初始化完成')
-        initialized = true
+        await loadStockData(store)
+        await getRecords(store) // 预加载记录
+        // 以当前库存作为初始水位，避免重启后重复提醒
+        store.stockData.forEach(item => store.stockLevels.set(item.name, getStockLevel(store, item)))
+        ctx.logger('stock-manager').info(`库存点 ${store.id} 数据初始化完成`)
       } catch (err) {
-        ctx.logger('stock-manager').error('初始化失败:', err)
-        initialized = true // 即使失败也标记为已初始化，使用内存存储
+        // 即使失败也视为已初始化，使用内存存储
+        ctx.logger('stock-manager').error(`库存点 ${store.id} 初始化失败:`, err)
       }
     })()
     
-    return initPromise
+    return store.initPromise
+  }
+
+  // 重新加载库存点的物品数据（例如从备份恢复后）
+  async function reloadStore(store: Store) {
+    store.initPromise = null
+    store.loadError = null
+    store.stockData.clear()
+    store.stockLevels.clear()
+    store.forecastAlerts.clear()
+    await ensureInitialized(store)
+  }
+
+  // 库存点数据加载失败时返回提示
+  function checkAvailable(store: Store, session?: Session): string | null {
+    if (!databaseReady) return getText(store, session, 'general.database-unavailable')
+    if (!store.loadError) return null
+    return getText(store, session, 'general.unavailable', { error: store.loadError })
+  }
+
+  // 在库存点的锁内执行修改操作
+  function withLock<T>(store: Store, task: () => Promise<T>): Promise<T> {
+    const result = store.lock.then(task)
+    store.lock = result.then(() => {}, () => {})
+    return result
   }
 
-  // 立即初始化
-  ensureInitialized().catch(err => {
-    ctx.logger('stock-manager').error('初始化失败:', err)
+  // 插件停用时等待所有数据写入完成
+  ctx.on('dispose', async () => {
+    await Promise.all(Array.from(stores.values(), store => store.lock))
+    await storage.flush()
   })
 
+  if (config.storage === 'database') {
+    ctx.inject(['database'], (ctx) => {
+      // 停用时日志服务可能已先行释放，提前获取 logger
+      const logger = ctx.logger('stock-manager')
+      storage = createDatabaseStorage(ctx, yamlStorage)
+      databaseReady = true
+      // 数据库停用后重新启用时，按数据库中的数据重新加载已加载过的库存点
+      for (const store of stores.values()) {
+        if (!store.initPromise) continue
+        withLock(store, () => {
+          store.recordsCache = null
+          store.ordersCache = null
+          store.revertedIds.clear()
+          store.nextRecordId = 1
+          return reloadStore(store)
+        }).catch(err => logger.error(`库存点 ${store.id} 重新加载失败:`, err))
+      }
+      ctx.on('dispose', () => {
+        databaseReady = false
+        logger.warn('数据库服务已停用，库存点暂停读写，数据库恢复后自动重新加载')
+      })
+    })
+    // 数据库插件启动后才会提供服务，留出连接时间后仍不可用时报错
+    ctx.on('ready', () => {
+      ctx.setTimeout(() => {
+        if (databaseReady) return
+        ctx.logger('stock-manager').error('storage 设置为 database，但未检测到数据库服务，库存点已暂停读写，请安装并启用数据库插件')
+      }, 10000)
+    })
+  }
+
+  if (config.admins.length === 0 && !config.adminAuthority) {
+    ctx.logger('stock-manager').warn('未配置 admins 或 adminAuthority，stock.restore 仅限 Koishi 权限等级 4 及以上的用户使用（需要数据库）')
+  }
+
+  // 立即初始化已配置的库存点
+  for (const store of [
+    getDefaultStore(),
+    ...config.stores.map(store => getStore(store.id, store.items, store.groups, store)),
+  ]) {
+    ensureInitialized(store).catch(err => {
+      ctx.logger('stock-manager').error('初始化失败:', err)
+    })
+    // 没有接收群时每日汇总和临期提醒无处发送
+    if (!config.dailySummaryTime || store.groups.length) continue
+    if (store.id === DEFAULT_STORE_ID && config.whitelistGroups.length === 0) {
+      if (!config.isolateChannels) ctx.logger('stock-manager').warn('未配置 whitelistGroups，默认库存点的每日汇总只会发送到本次启动后使用过库存操作或查询的群')
+    } else {
+      ctx.logger('stock-manager').warn(`库存点 ${store.id} 没有接收提醒的群，不会发送每日汇总`)
+    }
+  }
+
   // 检查是否在白名单中
   function isWhitelisted(groupId: string): boolean {
     if (config.whitelistGroups.length === 0) return true
@@ -291,124 +705,406 @@ export function apply(ctx: Context, config: Config) {
   }
 
   // 根据别名获取物品名称
-  function getItemName(alias: string): string | null {
-    return aliasMap.get(alias.toLowerCase()) || null
+  function getItemName(store: Store, alias: string): string | null {
+    return store.aliasMap.get(alias.toLowerCase()) || null
+  }
+
+  // 物品的计量单位
+  function getUnit(store: Store, itemName: string): string {
+    return getItemConfig(store, itemName)?.unit || config.unit
+  }
+
+  // 带单位的数量，如 24瓶
+  function formatAmount(store: Store, itemName: string, value: number | string): string {
+    return `${value}${getUnit(store, itemName)}`
   }
 
-  // 解析操作（支持 water-1, water+1, water=10, water-1-r 格式）
-  function parseOperation(text: string): { itemName: string; operation: '+' | '-' | '='; value: number; noRank: boolean } | null {
+  // 物品可用的单位和包装，如 瓶、箱（24瓶）
+  function describeUnits(store: Store, itemName: string, session?: Session): string {
+    const unit = getUnit(store, itemName)
+    const packs = getItemConfig(store, itemName)?.packs || []
+    return joinList(store, session, [unit, ...packs.map(pack => getText(store, session, 'operation.pack', { name: pack.name, amount: `${pack.size}${unit}` }))])
+  }
+
+  // 库存点中所有的单位和包装名称
+  function getUnitNames(store: Store): Set<string> {
+    const names = new Set([config.unit])
+    for (const item of store.items) {
+      if (item.unit) names.add(item.unit)
+      item.packs?.forEach(pack => names.add(pack.name))
+    }
+    return names
+  }
+
+  // 避免小数运算产生的误差
+  function roundQuantity(value: number): number {
+    return Math.round(value * 1000) / 1000
+  }
+
+  // 解析带单位或包装的数量（如 2箱、三瓶、1.5），包装按规格换算，无法识别时返回 null
+  function parseAmount(store: Store, itemName: string, text: string): number | null {
+    const unit = getUnit(store, itemName)
+    const packs = (getItemConfig(store, itemName)?.packs || []).slice().sort((a, b) => b.name.length - a.name.length)
+    const pack = packs.find(pack => text.endsWith(pack.name))
+    let quantityText = text
+    if (pack) {
+      quantityText = text.slice(0, -pack.name.length)
+    } else if (text.endsWith(unit)) {
+      quantityText = text.slice(0, -unit.length)
+    }
+    const multiplier = pack ? pack.size : 1
+    // 只写单位时表示一个单位，如 喝了瓶水
+    if (!quantityText && quantityText !== text) return multiplier
+    const quantity = parseQuantity(quantityText)
+    return quantity === null ? null : roundQuantity(quantity * multiplier)
+  }
+
+  // 检查数量是否符合物品的计量方式，不符合时返回提示
+  function checkQuantity(store: Store, itemName: string, value: number, session?: Session): string | null {
+    if (!Number.isFinite(value) || value < 0) return getText(store, session, 'operation.negative')
+    if (!getItemConfig(store, itemName)?.fractional && !Number.isInteger(value)) return getText(store, session, 'operation.integer', { item: itemName })
+    return null
+  }
+
+  // 解析操作（支持 water-1, water+1, water=10, water-1-r, water+2箱, 水+三, water+24@2026-12-01 格式）
+  // 不是操作时返回 null，物品可以识别但数量有误时返回提示
+  function parseOperation(store: Store, text: string, session?: Session): Operation | string | null {
     // 检查是否有 -r 参数（支持 water-1-r 或 water-r-1 等格式）
     const noRank = /\b-r\b/.test(text)
     const cleanText = text.replace(/\b-r\b/g, '').trim()
 
-    // 匹配格式：别名+数字、别名-数字、别名=数字
-    const match = cleanText.match(/^(.+?)([+\-=])(\d+)$/)
-    if (!match) return null
+    // 依次尝试每个运算符的位置，别名本身可以包含运算符（如 7-up+1）
+    let hint: string | null = null
+    for (let index = 1; index < cleanText.length; index++) {
+      const op = cleanText[index]
+      if (op !== '+' && op !== '-' && op !== '=') continue
+      const itemName = getItemName(store, cleanText.slice(0, index).trim())
+      if (!itemName) continue
+
+      // 补货数量后可以用 @ 附带批次的到期日期
+      const [amountText, expiryText] = cleanText.slice(index + 1).split('@', 2).map(part => part.trim())
+      const value = parseAmount(store, itemName, amountText)
+      if (value === null) {
+        hint ||= getText(store, session, 'operation.unknown-amount', { text, item: itemName, units: describeUnits(store, itemName, session) })
+        continue
+      }
+      const invalid = checkQuantity(store, itemName, value, session)
+      if (invalid) return invalid
+      if (expiryText === undefined) return { itemName, operation: op, value, noRank }
+
+      if (!isTrackingExpiry(store, itemName)) return getText(store, session, 'operation.expiry-disabled', { item: itemName })
+      if (op !== '+') return getText(store, session, 'operation.expiry-restock-only')
+      const expiry = parseExpiry(expiryText)
+      if (expiry === null) return getText(store, session, 'operation.invalid-expiry')
+      return { itemName, operation: op, value, noRank, expiry }
+    }
+    return hint
+  }
 
-    const [, alias, op, valueStr] = match
-    const itemName = getItemName(alias.trim())
-    if (!itemName) return null
+  const CONSUME_VERBS = ['消耗了', '喝掉了', '用掉了', '喝了', '用了', '拿了', '吃了', '卖了', '消耗', '喝掉', '用掉', '喝', '拿']
+  const ADD_VERBS = ['补货了', '进货了', '补了', '进了', '买了', '加了', '添了', '补货', '进货']
 
-    const value = parseInt(valueStr, 10)
-    if (isNaN(value)) return null
+  // 查找位于文本末尾的最长别名
+  function findAliasSuffix(store: Store, text: string): string | null {
+    const lower = text.toLowerCase()
+    let found: string | null = null
+    for (const alias of store.aliasMap.keys()) {
+      if (lower.endsWith(alias) && alias.length > (found?.length || 0)) found = alias
+    }
+    return found && text.slice(text.length - found.length)
+  }
 
-    return {
-      itemName,
-      operation: op as '+' | '-' | '=',
-      value,
-      noRank
+  function createNaturalOperation(store: Store, itemName: string, operation: Operation['operation'], amountText: string, text: string, session?: Session, noRank = false): Operation | string {
+    const value = parseAmount(store, itemName, amountText)
+    if (value === null) return getText(store, session, 'operation.unknown-amount', { text, item: itemName, units: describeUnits(store, itemName, session) })
+    return checkQuantity(store, itemName, value, session) || { itemName, operation, value, noRank }
+  }
+
+  // 解析自然语言操作（如 喝了一瓶水、补了两箱水、水还剩10瓶），不是操作时返回 null，缺少数量时返回提示
+  function parseNaturalOperation(store: Store, text: string, session?: Session): Operation | string | null {
+    const source = text.replace(/\s+/g, '').replace(/^我/, '')
+
+    // 物品还剩多少：设置库存，差值不是说话人的消耗或补货，不计入排行榜（盘点期间作为盘点数量）
+    const remain = source.match(/^(.+?)(?:还剩下?|剩下?)(.+)$/)
+    const remainItem = remain && getItemName(store, remain[1])
+    if (remainItem) {
+      // 数量无法解析时（如 水还剩多少）不是操作，交给查询处理
+      if (parseAmount(store, remainItem, remain![2]) === null) return null
+      return createNaturalOperation(store, remainItem, '=', remain![2], text, session, true)
+    }
+
+    for (const [verbs, operation] of [[CONSUME_VERBS, '-'], [ADD_VERBS, '+']] as const) {
+      const verb = verbs.find(verb => source.startsWith(verb))
+      if (!verb) continue
+      const rest = source.slice(verb.length)
+      const alias = findAliasSuffix(store, rest)
+      if (!alias) return null
+      const itemName = getItemName(store, alias)!
+      const amountText = rest.slice(0, -alias.length).replace(/的$/, '')
+      if (!amountText) {
+        // 只有“喝了水”这类已完成的说法才提示补充数量，“喝水”等不视为操作
+        if (!verb.endsWith('了')) return null
+        return getText(store, session, 'operation.need-amount', { verb, unit: getUnit(store, itemName), alias, operation })
+      }
+      return createNaturalOperation(store, itemName, operation, amountText, text, session)
     }
+    return null
   }
 
-  // 处理操作
-  async function handleOperation(session: Session, op: { itemName: string; operation: '+' | '-' | '='; value: number; noRank: boolean }) {
-    await ensureInitialized()
-    
-    const item = stockData.get(op.itemName)
-    if (!item) {
-      ctx.logger('stock-manager').warn(`物品 ${op.itemName} 不存在于 stockData 中`)
-      await session.send(`错误：物品 ${op.itemName} 不存在`)
-      return
+  // 解析一条消息中的操作，支持以空格或换行分隔的多个操作（如 water+24 cola+12）
+  // 消息不是操作时返回 null，部分无法识别时返回提示且不执行任何操作
+  function parseOperations(store: Store, text: string, session?: Session): Operation[] | string | null {
+    // 去掉运算符两侧的空格，如 water + 5
+    const normalized = text.replace(/\s*([+\-=])\s*/g, '$1')
+    const single = parseOperation(store, normalized, session)
+    if (single && typeof single !== 'string') return [single]
+
+    // 数量与单位之间的空格（如 water+2 箱）不作为分隔
+    const unitNames = getUnitNames(store)
+    const tokens: string[] = []
+    for (const token of normalized.split(/\s+/).filter(Boolean)) {
+      if (tokens.length && unitNames.has(token)) {
+        tokens[tokens.length - 1] += token
+      } else {
+        tokens.push(token)
+      }
+    }
+
+    const first = tokens.length ? parseOperation(store, tokens[0], session) : null
+    if (!first) return config.naturalLanguage ? wrapOperation(parseNaturalOperation(store, text, session)) : null
+    if (tokens.length === 1) return wrapOperation(first)
+
+    const operations: Operation[] = []
+    const invalid: string[] = []
+    const hints: string[] = []
+    for (const token of tokens) {
+      const op = parseOperation(store, token, session)
+      if (op && typeof op !== 'string') {
+        operations.push(op)
+      } else {
+        invalid.push(token)
+        if (op) hints.push(op)
+      }
     }
+    if (invalid.length) return [getText(store, session, 'operation.invalid-batch', { tokens: joinList(store, session, invalid) }), ...hints].join('\n')
+    return operations
+  }
 
-    let change = 0
-    let actualOp: '+' | '-' = '+'
+  function wrapOperation(op: Operation | string | null): Operation[] | string | null {
+    return op && typeof op !== 'string' ? [op] : op
+  }
 
+  // 在物品上执行操作，返回库存变化量
+  function applyOperation(item: StockItem, op: Operation): number {
     if (op.operation === '+') {
-      change = op.value
-      actualOp = '+'
-      item.count += op.value
+      item.count = roundQuantity(item.count + op.value)
       if (!op.noRank) {
-        item.totalAdded += op.value
+        item.totalAdded = roundQuantity(item.totalAdded + op.value)
       }
-    } else if (op.operation === '-') {
-      change = -op.value
-      actualOp = '-'
-      item.count -= op.value
-      if (item.count < 0) item.count = 0
+      return op.value
+    }
+    if (op.operation === '-') {
+      // 库存不足时只扣到 0，记录和累计消耗按实际扣除的数量计算
+      const consumed = Math.min(op.value, Math.max(item.count, 0))
+      item.count = roundQuantity(item.count - consumed)
       if (!op.noRank) {
-        item.totalConsumed += op.value
+        item.totalConsumed = roundQuantity(item.totalConsumed + consumed)
       }
-    } else if (op.operation === '=') {
-      const diff = op.value - item.count
-      change = diff
+      return consumed ? -consumed : 0
+    }
+    const diff = roundQuantity(op.value - item.count)
+    item.count = op.value
+    if (!op.noRank) {
       if (diff > 0) {
-        actualOp = '+'
-        item.count = op.value
-        if (!op.noRank) {
-          item.totalAdded += diff
-        }
+        item.totalAdded = roundQuantity(item.totalAdded + diff)
       } else if (diff < 0) {
-        actualOp = '-'
-        item.count = op.value
-        if (!op.noRank) {
-          item.totalConsumed += Math.abs(diff)
+        item.totalConsumed = roundQuantity(item.totalConsumed - diff)
+      }
+    }
+    return diff
+  }
+
+  function isTrackingExpiry(store: Store, itemName: string): boolean {
+    return !!getItemConfig(store, itemName)?.trackExpiry
+  }
+
+  // 批次按到期日期从早到晚排列，没有到期日期的批次排在最后
+  function sortLots(lots: StockLot[]): StockLot[] {
+    return lots.sort((a, b) => {
+      if (a.expiry === b.expiry) return 0
+      if (!a.expiry || !b.expiry) return a.expiry ? -1 : 1
+      return a.expiry < b.expiry ? -1 : 1
+    })
+  }
+
+  // 增加（count 为负数时减少）指定到期日期的批次
+  function addLot(lots: StockLot[], count: number, expiry?: string) {
+    const lot = lots.find(lot => lot.expiry === expiry)
+    if (lot) {
+      lot.count = roundQuantity(lot.count + count)
+    } else {
+      lots.push(expiry ? { count, expiry } : { count })
+    }
+  }
+
+  // 使批次数量之和等于 count：增加的数量计入 expiry 批次，减少的数量先扣除最早到期的批次
+  function reconcileLots(lots: StockLot[], count: number, expiry?: string): StockLot[] {
+    let diff = roundQuantity(count - lots.reduce((sum, lot) => sum + lot.count, 0))
+    if (diff > 0) {
+      addLot(lots, diff, expiry)
+      return [expiry ? { count: diff, expiry } : { count: diff }]
+    }
+    const changes: StockLot[] = []
+    for (const lot of sortLots(lots)) {
+      if (diff >= 0) break
+      const taken = Math.min(lot.count, -diff)
+      if (taken <= 0) continue
+      lot.count = roundQuantity(lot.count - taken)
+      diff = roundQuantity(diff + taken)
+      changes.push(lot.expiry ? { count: -taken, expiry: lot.expiry } : { count: -taken })
+    }
+    return changes
+  }
+
+  // 物品库存从 previous 变为 item.count 后同步批次并返回各批次的变化，未开启保质期管理时返回 undefined
+  // removed 为需要从指定批次扣除的数量（报损的批次，或撤销时原记录的批次变化），其余差额按先进先出处理
+  function updateLots(store: Store, item: StockItem, previous: number, expiry?: string, removed: StockLot[] = []): StockLot[] | undefined {
+    if (!isTrackingExpiry(store, item.name)) return undefined
+    const lots = (item.lots || []).map(lot => ({ ...lot }))
+    // 开启保质期管理前已有的库存视为没有到期日期的批次
+    reconcileLots(lots, previous)
+
+    const changes: StockLot[] = []
+    for (const { count, expiry } of removed) {
+      const available = lots.find(lot => lot.expiry === expiry)?.count || 0
+      const change = roundQuantity(-Math.min(count, available))
+      if (change === 0) continue
+      addLot(lots, change, expiry)
+      addLot(changes, change, expiry)
+    }
+    for (const { count, expiry: date } of reconcileLots(lots, item.count, expiry)) {
+      addLot(changes, count, date)
+    }
+    item.lots = sortLots(lots.filter(lot => lot.count > 0))
+    return changes.filter(lot => lot.count !== 0)
+  }
+
+  // 执行一组操作：先在副本上依次执行，全部成功后一并保存，物品不存在时返回错误提示
+  // 聊天消息、HTTP API 和控制台的操作都经过这里，需在库存点的锁内调用，order 为补货所属的采购单
+  async function applyOperations(store: Store, actor: Actor, ops: Operation[], session?: Session, order?: number): Promise<OperationResult | string> {
+    await ensureInitialized(store)
+
+    const items = new Map<string, StockItem>()
+    const results: OperationResult['results'] = []
+    for (const op of ops) {
+      let item = items.get(op.itemName)
+      if (!item) {
+        const original = store.stockData.get(op.itemName)
+        if (!original) {
+          ctx.logger('stock-manager').warn(`物品 ${op.itemName} 不存在于库存点 ${store.id} 中`)
+          return getText(store, session, 'operation.item-missing', { item: op.itemName })
         }
-      } else {
-        // diff === 0，库存不变，不记录操作
-        await session.send(`${op.itemName} 库存未变化，当前库存：${item.count}瓶`)
-        return
+        if (original.archived) return getText(store, session, 'operation.archived', { item: op.itemName })
+        item = { ...original }
+        items.set(op.itemName, item)
       }
+      const previous = item.count
+      const change = applyOperation(item, op)
+      results.push({ op, change, balance: item.count, lots: updateLots(store, item, previous, op.expiry) })
     }
 
+    const changed = results.filter(result => result.change !== 0)
+    // 库存不变，不记录操作
+    if (!changed.length) return { results, records: [], items: Array.from(items.values()), alerts: [] }
+
     // 保存库存数据
+    await saveStockItems(store, Array.from(items.values()))
+
+    // 记录操作，同一组操作共用一个校验码
+    const records = createRecords(actor, store, changed.map(({ op, change, balance, lots }) => ({
+      itemName: op.itemName,
+      change,
+      isRanked: !op.noRank,
+      balance,
+      lots,
+      order,
+    })))
+    for (const record of records) {
+      await addRecord(store, record)
+    }
+
+    const alerts: string[] = []
+    const allRecords = await getRecords(store)
+    for (const item of items.values()) {
+      const alert = updateStockLevel(store, item, session)
+      if (alert) alerts.push(alert)
+      const forecastAlert = updateForecastAlert(store, item, getForecast(store, item, allRecords), session)
+      if (forecastAlert) alerts.push(forecastAlert)
+    }
+    return { results, records, items: Array.from(items.values()), alerts }
+  }
+
+  // 处理一条消息中的全部操作并回复结果，指定采购单时写入记录后完成该采购单
+  async function handleOperations(session: Session, store: Store, ops: Operation[], order?: PurchaseOrder) {
+    let result: OperationResult | string
     try {
-      await saveStockItem(item)
+      result = await applyOperations(store, getActor(store, session), ops, session, order?.id)
+    } catch (err) {
+      ctx.logger('stock-manager').error('保存操作失败:', err)
+      await session.send(getText(store, session, 'operation.failed', { items: joinList(store, session, Array.from(new Set(ops.map(op => op.itemName)))) }))
+      return
+    }
+    if (typeof result === 'string') {
+      await session.send(result)
+      return
+    }
 
-      // 记录操作
-      const opTimestamp = Date.now()
-      const record: StockRecord = {
-        id: 0, // 会在 addRecord 中设置
-        itemName: op.itemName,
-        userId: session.userId || 'unknown',
-        userName: session.author?.nickname || session.username || '未知用户',
-        change,
-        timestamp: opTimestamp,
-        isRanked: !op.noRank
-      }
-      await addRecord(record)
+    const { results, records } = result
+    const unchanged = (itemName: string, count: number) => getText(store, session, 'operation.unchanged', { item: itemName, amount: formatAmount(store, itemName, count) })
+    if (!records.length) {
+      await session.send(result.items.map(item => unchanged(item.name, item.count)).join('\n'))
+      return
+    }
 
-      const changeText = actualOp === '+' ? `+${Math.abs(change)}` : `-${Math.abs(change)}`
-      const getCode = createGetCode({ timestamp: opTimestamp, userId: record.userId, itemName: op.itemName })
-      
-      // 如果计入了排行榜，显示排行榜更新
-      if (!op.noRank) {
-        const rankingType = actualOp === '+' ? 'add' : 'consume'
-        const ranking = await getRanking(op.itemName, rankingType)
-        const rankingTitle = actualOp === '+' ? '累计排行榜' : '消耗排行榜'
-        await session.send(`${op.itemName} ${changeText}，当前库存：${item.count}瓶\n\n${op.itemName}${rankingTitle}：\n${ranking}\n\n${getCode}`)
+    const lines = results.map(({ op, change, balance }) => {
+      if (change === 0) return unchanged(op.itemName, balance)
+      // 不计入排行榜时只显示库存变化
+      return getText(store, session, op.noRank ? 'operation.result-unranked' : 'operation.result', {
+        item: op.itemName,
+        change: formatSigned(change),
+        amount: formatAmount(store, op.itemName, balance),
+      })
+    })
+
+    // 计入排行榜的操作按物品分组显示排行榜更新，库存点可关闭
+    const sections: (string | h)[] = [lines.join('\n')]
+    if (order) sections.push(await closeOrder(session, store, order, records))
+    const rankings = new Set<string>()
+    for (const { op, change } of results) {
+      if (op.noRank || change === 0 || !(store.replies.showRanking ?? config.showRanking)) continue
+      const rankingType = change > 0 ? 'add' : 'consume'
+      const key = `${op.itemName}:${rankingType}`
+      if (rankings.has(key)) continue
+      rankings.add(key)
+      const title = getRankingTitle(store, session, op.itemName, rankingType)
+      const image = config.imageReplies ? await getRankingImage(store, op.itemName, rankingType, title, {}, session) : null
+      if (image) {
+        sections.push(image)
       } else {
-        // 不计入排行榜，只显示库存变化
-        await session.send(`${op.itemName} ${changeText}，当前库存：${item.count}瓶（不计入排行榜）\n\n${getCode}`)
+        const ranking = await getRanking(store, op.itemName, rankingType, {}, session)
+        sections.push(getText(store, session, 'ranking.message', { title, ranking }))
       }
-    } catch (err) {
-      ctx.logger('stock-manager').error('保存操作失败:', err)
-      await session.send(`操作失败：${op.itemName} 数据保存出错，请稍后重试`)
+    }
+    appendCode(store, sections, records[0].ref!)
+    await session.send(sections.flatMap((section, index) => index ? ['\n\n', section] : [section]))
+
+    for (const alert of result.alerts) {
+      await session.send(alert)
     }
   }
 
   // 检查查询消息
-  function isQueryMessage(text: string): { itemName: string } | null {
+  function isQueryMessage(store: Store, text: string): { itemName: string } | null {
     for (const template of config.queryMessages) {
       // 使用临时标记替换 {name}，转义其他字符后再恢复
       const tempMarker = '__NAME_PLACEHOLDER__'
@@ -421,188 +1117,2202 @@ export function apply(ctx: Context, config: Config) {
       const match = text.match(regex)
       if (match) {
         const alias = match[1]
-        const itemName = getItemName(alias)
+        const itemName = getItemName(store, alias)
         if (itemName) {
           return { itemName }
         }
       }
     }
-    return null
+    // 询问剩余数量（如 水还剩多少、水还剩几瓶）
+    const remain = text.replace(/\s+/g, '').match(/^(.+?)(?:还剩下?|剩下?)(?:多少|几)/)
+    const itemName = remain && getItemName(store, remain[1])
+    return itemName ? { itemName } : null
   }
 
   // 处理查询
-  async function handleQuery(session: Session, itemName: string) {
-    await ensureInitialized()
+  async function handleQuery(session: Session, store: Store, itemName: string) {
+    await ensureInitialized(store)
     
-    const item = stockData.get(itemName)
+    const item = store.stockData.get(itemName)
     if (!item) return
 
-    // 从记录中获取最近5条记录
-    const allRecords = await getRecords()
-    const recentRecords = allRecords
-      .filter(r => r.itemName === itemName)
+    const allRecords = await getRecords(store)
+    if (config.imageReplies) {
+      const title = getText(store, session, 'query.card-title', { item: itemName })
+      const image = await toImage(ctx, renderStockCards(title, [getStockCard(store, item, allRecords, 5, session)], getText(store, session, 'general.no-items')))
+      // 无法生成图片时改为发送文字
+      if (image) {
+        await session.send(image)
+        return
+      }
+    }
+    // 最近5条记录
+    const recentRecords = getRecentRecords(store, itemName, allRecords, 5, session).join('\n')
+
+    const itemConfig = getItemConfig(store, itemName)
+    const price = itemConfig?.price ?? 0
+    const cost = itemConfig?.cost ?? 0
+    const forecast = getForecast(store, item, allRecords)
+    await session.send(getText(store, session, 'query.message', {
+      name: itemName,
+      price: formatMoney(price),
+      cost: formatMoney(cost),
+      stockValue: formatMoney(item.count * price),
+      stockCost: formatMoney(item.count * cost),
+      unit: getUnit(store, itemName),
+      count: item.count,
+      totalAdded: item.totalAdded,
+      totalConsumed: item.totalConsumed,
+      daysLeft: formatDays(forecast.daysLeft),
+      expiry: describeNearestExpiry(store, item, session),
+      recentRecords: recentRecords || getText(store, session, 'general.no-records'),
+    }))
+  }
+
+  // 最近到期的批次（单独一行，以换行开头），未开启保质期管理或没有带到期日期的批次时为空
+  function describeNearestExpiry(store: Store, item: StockItem, session?: Session): string {
+    if (!isTrackingExpiry(store, item.name)) return ''
+    const lot = item.lots?.find(lot => lot.expiry)
+    if (!lot) return ''
+    return '\n' + getText(store, session, lot.expiry! < getToday() ? 'query.expired' : 'query.expiry', {
+      date: lot.expiry,
+      amount: formatAmount(store, item.name, lot.count),
+    })
+  }
+
+  // 物品最近的若干条操作记录，按时间从旧到新排列
+  function getRecentRecords(store: Store, itemName: string, records: StockRecord[], limit: number, session?: Session): string[] {
+    const names = getUserNames(records)
+    return records
+      .filter(r => getRecordItemName(store, r) === itemName)
       .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, 5)
+      .slice(0, limit)
       .reverse()
-      .map(r => `${r.userName} ${r.change > 0 ? '+' : ''}${r.change}`)
-      .join('\n')
+      .map(r => getText(store, session, 'query.record', {
+        user: names.get(r.userId) ?? r.userName,
+        change: formatSigned(r.change),
+        mark: getRecordMark(store, r, session),
+      }))
+  }
+
+  // 记录类型的标注：撤销、盘点差异、报损或采购单补货
+  function getRecordMark(store: Store, record: StockRecord, session?: Session): string {
+    if (record.revertOf !== undefined) return getText(store, session, 'query.reverted')
+    if (record.audit !== undefined) return getText(store, session, 'query.audited')
+    if (record.waste) return getText(store, session, 'query.wasted')
+    if (record.order !== undefined) return getText(store, session, 'query.ordered', { id: record.order })
+    return ''
+  }
 
-    const message = config.defaultQueryMessage
-      .replace(/\{name\}/g, itemName)
-      .replace(/\{count\}/g, item.count.toString())
-      .replace(/\{totalAdded\}/g, item.totalAdded.toString())
-      .replace(/\{totalConsumed\}/g, item.totalConsumed.toString())
-      .replace(/\{recentRecords\}/g, recentRecords || '暂无记录')
+  // 生成物品的库存卡片数据，recentLimit 为显示的最近操作条数
+  function getStockCard(store: Store, item: StockItem, records: StockRecord[], recentLimit = 0, session?: Session): StockCard {
+    const level = getStockLevel(store, item)
+    return {
+      name: item.name,
+      unit: getUnit(store, item.name),
+      count: item.count,
+      level,
+      levelText: getText(store, session, `card.${level}`),
+      daysLeft: getText(store, session, 'card.days-left', { days: formatDays(getForecast(store, item, records).daysLeft) }),
+      totals: getText(store, session, 'card.totals', {
+        added: formatAmount(store, item.name, item.totalAdded),
+        consumed: formatAmount(store, item.name, item.totalConsumed),
+      }),
+      recent: recentLimit ? getRecentRecords(store, item.name, records, recentLimit, session) : undefined,
+    }
+  }
 
-    await session.send(message)
+  function formatMoney(value: number): string {
+    return value.toFixed(2)
   }
 
-  // 获取排行榜
-  async function getRanking(itemName: string, type: 'consume' | 'add'): Promise<string> {
-    const item = stockData.get(itemName)
-    if (!item) return ''
+  // 计算账单：消耗按售价计入应付，补货按进价计入应报销（只统计计入排行榜且未撤销的记录）
+  async function getBill(store: Store, range: TimeRange, userId?: string, session?: Session): Promise<string> {
+    const allRecords = await getRecords(store)
+    const names = getUserNames(allRecords)
+    const bills = new Map<string, { name: string; owed: number; reimbursed: number }>()
+    for (const r of allRecords) {
+      if (!r.isRanked || !isEffective(store, r) || !isInRange(r.timestamp, range)) continue
+      if (userId && r.userId !== userId) continue
+      const itemConfig = getItemConfig(store, getRecordItemName(store, r))
+      const bill = bills.get(r.userId) || { name: names.get(r.userId)!, owed: 0, reimbursed: 0 }
+      if (r.change < 0) {
+        bill.owed += Math.abs(r.change) * (r.price ?? itemConfig?.price ?? 0)
+      } else {
+        bill.reimbursed += r.change * (r.cost ?? itemConfig?.cost ?? 0)
+      }
+      bills.set(r.userId, bill)
+    }
+
+    const sorted = Array.from(bills.values())
+      .filter(bill => bill.owed || bill.reimbursed)
+      .sort((a, b) => (b.reimbursed - b.owed) - (a.reimbursed - a.owed))
+    if (sorted.length === 0) return getText(store, session, 'bill.empty')
+
+    const lines = sorted.map(bill => {
+      const net = bill.reimbursed - bill.owed
+      const settlement = net > 0
+        ? getText(store, session, 'bill.reimburse', { amount: formatMoney(net) })
+        : net < 0 ? getText(store, session, 'bill.pay', { amount: formatMoney(-net) }) : getText(store, session, 'bill.settled')
+      return getText(store, session, 'bill.line', { name: bill.name, owed: formatMoney(bill.owed), reimbursed: formatMoney(bill.reimbursed), settlement })
+    })
+    const totalOwed = sorted.reduce((sum, bill) => sum + bill.owed, 0)
+    const totalReimbursed = sorted.reduce((sum, bill) => sum + bill.reimbursed, 0)
+    lines.push(getText(store, session, 'bill.total', { owed: formatMoney(totalOwed), reimbursed: formatMoney(totalReimbursed) }))
+    return lines.join('\n')
+  }
+
+  // 连续有操作的天数：当前连续（截至今天或昨天）和最长连续，dates 为升序排列的 YYYY-MM-DD
+  function getStreaks(dates: string[]): { current: number; longest: number } {
+    let longest = 0
+    let streak = 0
+    let previous: number | null = null
+    for (const date of dates) {
+      const day = parseDate(date)!
+      streak = previous !== null && Math.round((day - previous) / 86400000) === 1 ? streak + 1 : 1
+      longest = Math.max(longest, streak)
+      previous = day
+    }
+    const today = parseDate(getToday())!
+    const current = previous !== null && Math.round((today - previous) / 86400000) <= 1 ? streak : 0
+    return { current, longest }
+  }
+
+  // 用户的个人统计：各物品的消耗和补货总量及排名、连续操作天数和最近操作
+  async function getUserReport(store: Store, userId: string, range: TimeRange, rangeText: string, session?: Session): Promise<string> {
+    const allRecords = await getRecords(store)
+    const name = getUserNames(allRecords).get(userId)
+    if (!name) return getText(store, session, 'me.empty', { name: userId })
+    const records = allRecords.filter(r => r.userId === userId && isInRange(r.timestamp, range))
+    if (!records.length) return getText(store, session, 'me.empty', { name })
+
+    const sections = [getText(store, session, 'me.title', { name, range: rangeText })]
+    const lines: string[] = []
+    const itemNames = new Set(records.filter(r => r.isRanked && isEffective(store, r)).map(r => getRecordItemName(store, r)))
+    for (const itemName of itemNames) {
+      const parts: string[] = []
+      for (const type of ['consume', 'add'] as const) {
+        const stats = await getRankingStats(store, itemName, type, range)
+        const index = stats.findIndex(entry => entry.userId === userId)
+        if (index === -1) continue
+        parts.push(getText(store, session, `me.${type}`, {
+          amount: formatAmount(store, itemName, stats[index].count),
+          rank: index + 1,
+          total: stats.length,
+        }))
+      }
+      if (parts.length) lines.push(getText(store, session, 'me.item', { item: itemName, stats: joinList(store, session, parts) }))
+    }
+    sections.push(lines.length ? lines.join('\n') : getText(store, session, 'me.no-ranked'))
+
+    // 撤销记录和被撤销的操作不计入连续天数
+    const dates = Array.from(new Set(records.filter(r => isEffective(store, r)).map(r => formatTime(r.timestamp).slice(0, 10))))
+    if (dates.length) sections.push(getText(store, session, 'me.streak', getStreaks(dates)))
+
+    const showCode = store.replies.showCode ?? config.showCode
+    const recent = records.slice(-5).reverse().map(r => {
+      const record = getText(store, session, 'me.record', {
+        time: formatTime(r.timestamp),
+        item: r.itemName,
+        change: formatAmount(store, getRecordItemName(store, r), formatSigned(r.change)),
+        mark: getRecordMark(store, r, session),
+      })
+      return showCode && r.ref ? `${record}\n${formatGetCode(r.ref)}` : record
+    })
+    sections.push(getText(store, session, 'me.recent', { records: recent.join('\n') }))
+    return sections.join('\n\n')
+  }
+
+  // 每个用户最近一次记录的昵称，按用户ID汇总的统计统一显示该昵称，不受改昵称影响
+  function getUserNames(records: StockRecord[]): Map<string, string> {
+    const names = new Map<string, string>()
+    for (const record of records) names.set(record.userId, record.userName)
+    return names
+  }
 
+  // 统计排行榜数据，按数量从高到低排列
+  async function getRankingStats(store: Store, itemName: string, type: 'consume' | 'add', range: TimeRange = {}): Promise<RankingEntry[]> {
     // 从记录中获取所有相关记录
-    const allRecords = await getRecords()
+    const allRecords = await getRecords(store)
     const relevantRecords = allRecords.filter(r => 
-      r.itemName === itemName && r.isRanked
+      getRecordItemName(store, r) === itemName && r.isRanked && isEffective(store, r) && isInRange(r.timestamp, range)
     )
 
-    const userStats = new Map<string, { name: string; count: number }>()
+    const userStats = new Map<string, RankingEntry>()
+    const names = getUserNames(allRecords)
 
     relevantRecords.forEach(r => {
       if (type === 'consume' && r.change < 0) {
         const key = r.userId
-        const current = userStats.get(key) || { name: r.userName, count: 0 }
-        current.count += Math.abs(r.change)
+        const current = userStats.get(key) || { userId: r.userId, name: names.get(r.userId)!, count: 0 }
+        current.count = roundQuantity(current.count - r.change)
         userStats.set(key, current)
       } else if (type === 'add' && r.change > 0) {
         const key = r.userId
-        const current = userStats.get(key) || { name: r.userName, count: 0 }
-        current.count += r.change
+        const current = userStats.get(key) || { userId: r.userId, name: names.get(r.userId)!, count: 0 }
+        current.count = roundQuantity(current.count + r.change)
         userStats.set(key, current)
       }
     })
 
-    const sorted = Array.from(userStats.values())
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 10)
+    return Array.from(userStats.values()).sort((a, b) => b.count - a.count)
+  }
 
-    if (sorted.length === 0) {
-      return type === 'consume' ? '暂无消耗记录' : '暂无添加记录'
-    }
+  // 排行榜标题，如 纯净水消耗排行榜（本周）
+  function getRankingTitle(store: Store, session: Session | undefined, itemName: string, type: 'consume' | 'add', range = ''): string {
+    return getText(store, session, `ranking.title-${type}`, { item: itemName, range })
+  }
+
+  // 获取排行榜（可限定时间范围）
+  async function getRanking(store: Store, itemName: string, type: 'consume' | 'add', range: TimeRange = {}, session?: Session): Promise<string> {
+    const item = store.stockData.get(itemName)
+    if (!item) return ''
+
+    const sorted = (await getRankingStats(store, itemName, type, range)).slice(0, 10)
+
+    if (sorted.length === 0) {
+      return getText(store, session, `ranking.empty-${type}`)
+    }
 
     return sorted
-      .map((stat, index) => `${index + 1}. ${stat.name}: ${stat.count}瓶`)
+      .map((stat, index) => getText(store, session, 'ranking.entry', { rank: index + 1, name: stat.name, amount: formatAmount(store, itemName, stat.count) }))
       .join('\n')
   }
 
+  // 生成排行榜图片，图片中显示前 20 名，无法生成图片时返回 null
+  async function getRankingImage(store: Store, itemName: string, type: 'consume' | 'add', title: string, range: TimeRange = {}, session?: Session): Promise<h | null> {
+    const entries = (await getRankingStats(store, itemName, type, range)).slice(0, 20)
+    return toImage(ctx, renderRanking({ title, unit: getUnit(store, itemName), entries, empty: getText(store, session, 'general.no-records') }))
+  }
+
+  // 撤销记录及已被撤销的记录均不参与统计
+  function isEffective(store: Store, record: StockRecord): boolean {
+    return record.revertOf === undefined && !store.revertedIds.has(record.id)
+  }
+
+  // 判断时间戳是否位于时间范围内（左闭右开）
+  function isInRange(timestamp: number, range: TimeRange): boolean {
+    if (range.from !== undefined && timestamp < range.from) return false
+    if (range.to !== undefined && timestamp >= range.to) return false
+    return true
+  }
+
+  // 解析 YYYY-MM-DD 格式的日期为当天零点
+  function parseDate(text: string): number | null {
+    const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/)
+    if (!match) return null
+    const date = new Date(+match[1], +match[2] - 1, +match[3])
+    return isNaN(date.getTime()) ? null : date.getTime()
+  }
+
+  // 解析到期日期并统一为 YYYY-MM-DD，日期不存在（如 2026-02-30）时返回 null
+  function parseExpiry(text: string): string | null {
+    const date = parseDate(text)
+    if (date === null) return null
+    const [, month, day] = text.split('-').map(Number)
+    const parsed = new Date(date)
+    return parsed.getMonth() + 1 === month && parsed.getDate() === day ? formatTime(date).slice(0, 10) : null
+  }
+
+  // 根据统计周期和起止日期计算时间范围，参数有误时返回错误提示
+  function resolveTimeRange(store: Store, session: Session | undefined, period?: string, from?: string, to?: string): TimeRange | string {
+    const range: TimeRange = {}
+    const now = new Date()
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    switch (period || 'all') {
+      case 'today':
+        range.from = today.getTime()
+        break
+      case 'week':
+        // 以周一作为一周的开始
+        range.from = today.getTime() - ((today.getDay() + 6) % 7) * 86400000
+        break
+      case 'month':
+        range.from = new Date(now.getFullYear(), now.getMonth(), 1).getTime()
+        break
+      case 'all':
+        break
+      default:
+        return getText(store, session, 'range.invalid-period')
+    }
+    if (from) {
+      const start = parseDate(from)
+      if (start === null) return getText(store, session, 'range.invalid-from')
+      range.from = start
+    }
+    if (to) {
+      const end = parseDate(to)
+      if (end === null) return getText(store, session, 'range.invalid-to')
+      // 结束日期包含当天
+      range.to = end + 86400000
+    }
+    if (range.from !== undefined && range.to !== undefined && range.from >= range.to) {
+      return getText(store, session, 'range.reversed')
+    }
+    return range
+  }
+
+  // 时间范围的文字说明，用于排行榜标题
+  function describeTimeRange(store: Store, session: Session | undefined, period?: string, from?: string, to?: string): string {
+    if (from || to) {
+      return getText(store, session, 'range.custom', {
+        from: from || getText(store, session, 'range.earliest'),
+        to: to || getText(store, session, 'range.now'),
+      })
+    }
+    if (period === 'today' || period === 'week' || period === 'month') return getText(store, session, `range.${period}`)
+    return ''
+  }
+
+  // 计入消耗统计的记录：计入排行榜且未撤销的消耗
+  function isConsumption(store: Store, record: StockRecord): boolean {
+    return record.change < 0 && record.isRanked && isEffective(store, record)
+  }
+
+  // 根据最近若干天的消耗记录预测物品的用完时间和建议补货量
+  function getForecast(store: Store, item: StockItem, records: StockRecord[], days = config.forecastDays): Forecast {
+    const DAY = 86400000
+    const now = new Date()
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    const itemRecords = records.filter(record => getRecordItemName(store, record) === item.name)
+
+    // 统计窗口到当前时刻为止，物品的记录不足时从第一条记录当天开始
+    let start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - days)
+    if (itemRecords.length > 0) {
+      const first = new Date(itemRecords.reduce((min, record) => Math.min(min, record.timestamp), Infinity))
+      const firstDay = new Date(first.getFullYear(), first.getMonth(), first.getDate())
+      if (firstDay > start) start = firstDay
+    }
+
+    // 每个星期几在窗口内覆盖的天数（今天只计已过去的部分）和消耗量
+    const exposure = Array(7).fill(0)
+    const consumed = Array(7).fill(0)
+    for (let date = start; date < now; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+      exposure[date.getDay()] += Math.min(now.getTime() - date.getTime(), DAY) / DAY
+    }
+    for (const record of itemRecords) {
+      if (!isConsumption(store, record) || record.timestamp < start.getTime()) continue
+      consumed[new Date(record.timestamp).getDay()] -= record.change
+    }
+
+    const sum = (values: number[]) => values.reduce((total, value) => total + value, 0)
+    // 至少按一天计算，避免当天刚开始时高估消耗速度
+    const dailyAverage = sum(consumed) / Math.max(sum(exposure), 1)
+    const weekdayAverages = config.forecastByWeekday
+      ? exposure.map((value, day) => value >= 1 ? consumed[day] / value : dailyAverage)
+      : null
+
+    let daysLeft = Infinity
+    if (item.count <= 0) {
+      daysLeft = 0
+    } else if (dailyAverage > 0) {
+      // 从当前时刻起逐日扣减预计消耗，最多预测一年
+      let remaining = item.count
+      let elapsed = 0
+      for (let offset = 0; offset <= 366; offset++) {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset)
+        const fraction = offset === 0 ? (date.getTime() + DAY - now.getTime()) / DAY : 1
+        const rate = weekdayAverages ? weekdayAverages[date.getDay()] : dailyAverage
+        if (rate > 0 && rate * fraction >= remaining) {
+          daysLeft = elapsed + remaining / rate
+          break
+        }
+        remaining -= rate * fraction
+        elapsed += fraction
+      }
+    }
+
+    const target = getItemConfig(store, item.name)?.targetLevel ?? Math.ceil(dailyAverage * config.forecastTargetDays)
+    return { dailyAverage, weekdayAverages, daysLeft, target, suggested: Math.max(roundQuantity(target - item.count), 0) }
+  }
+
+  // 格式化预计可用天数，保留一位小数
+  function formatDays(days: number): string {
+    return days === Infinity ? '∞' : String(Math.round(days * 10) / 10)
+  }
+
+  function formatRate(value: number): string {
+    return String(Math.round(value * 10) / 10)
+  }
+
+  // 物品的预警提前天数，0 表示不提醒
+  function getLeadDays(store: Store, itemName: string): number {
+    return getItemConfig(store, itemName)?.leadDays ?? config.forecastLeadDays
+  }
+
+  // 预计用完时间进入提醒范围时返回预警消息，每次进入范围只提醒一次
+  function updateForecastAlert(store: Store, item: StockItem, forecast: Forecast, session?: Session): string | null {
+    const leadDays = getLeadDays(store, item.name)
+    if (item.archived || leadDays <= 0 || forecast.dailyAverage === 0 || forecast.daysLeft > leadDays) {
+      store.forecastAlerts.delete(item.name)
+      return null
+    }
+    if (store.forecastAlerts.has(item.name)) return null
+    store.forecastAlerts.add(item.name)
+
+    return mentionRestockers(getText(store, session, 'alert.forecast', {
+      item: item.name,
+      days: formatDays(forecast.daysLeft),
+      amount: formatAmount(store, item.name, item.count),
+      suggestion: getSuggestion(store, item, forecast, session),
+    }))
+  }
+
+  // 提醒消息前提及补货员
+  function mentionRestockers(content: string): string {
+    const mentions = config.restockers.map(userId => h.at(userId)).join('')
+    return `${mentions}${mentions ? ' ' : ''}${content}`
+  }
+
+  // 追加在预测结果后的补货建议，不需要补货时为空
+  function getSuggestion(store: Store, item: StockItem, forecast: Forecast, session?: Session): string {
+    if (forecast.suggested <= 0) return ''
+    return getText(store, session, 'forecast.suggestion', { amount: formatAmount(store, item.name, forecast.suggested) })
+  }
+
+  // 生成消耗预测报告，指定物品时显示详情，否则按预计可用天数列出所有物品
+  async function getForecastReport(store: Store, itemName: string | null, days: number, session?: Session): Promise<string> {
+    const records = await getRecords(store)
+    const text = (path: string, params?: object) => getText(store, session, `forecast.${path}`, params)
+    if (itemName) {
+      const item = store.stockData.get(itemName)!
+      const forecast = getForecast(store, item, records, days)
+      const amount = (value: number | string) => formatAmount(store, item.name, value)
+      const lines = [text('item-title', { item: item.name, days }), text('current', { amount: amount(item.count) })]
+      if (forecast.dailyAverage === 0) {
+        lines.push(text('no-consumption'))
+      } else {
+        lines.push(text('daily-average', { amount: amount(formatRate(forecast.dailyAverage)) }))
+        if (forecast.weekdayAverages) {
+          const names = text('weekdays').split(',')
+          // 从周一开始显示
+          const order = [1, 2, 3, 4, 5, 6, 0]
+          lines.push(text('by-weekday', { rates: order.map(day => `${names[day]} ${formatRate(forecast.weekdayAverages![day])}`).join(' / ') }))
+        }
+        if (forecast.daysLeft === Infinity) {
+          lines.push(text('no-depletion'))
+        } else {
+          const date = formatTime(Date.now() + forecast.daysLeft * 86400000).slice(0, 10)
+          lines.push(text('depletion', { days: formatDays(forecast.daysLeft), date }))
+        }
+      }
+      // 没有消耗记录且未配置目标库存时不给出补货建议
+      if (forecast.target > 0) {
+        lines.push(forecast.suggested > 0
+          ? text('restock', { amount: amount(forecast.suggested), target: amount(forecast.target) })
+          : text('target-reached', { target: amount(forecast.target) }))
+      }
+      return lines.join('\n')
+    }
+
+    const forecasts = getActiveItems(store)
+      .map(item => ({ item, forecast: getForecast(store, item, records, days) }))
+      .sort((a, b) => a.forecast.daysLeft - b.forecast.daysLeft)
+    if (forecasts.length === 0) return getText(store, session, 'general.no-items')
+    const lines = forecasts.map(({ item, forecast }) => {
+      const params = {
+        item: item.name,
+        amount: formatAmount(store, item.name, item.count),
+        average: formatAmount(store, item.name, formatRate(forecast.dailyAverage)),
+        days: formatDays(forecast.daysLeft),
+        suggestion: getSuggestion(store, item, forecast, session),
+      }
+      return text(forecast.dailyAverage === 0 ? 'line-no-consumption' : 'line', params)
+    })
+    return `${text('title', { days })}\n${lines.join('\n')}`
+  }
+
+  // 读取库存点的采购单（首次使用时加载）
+  async function getOrders(store: Store): Promise<PurchaseOrder[]> {
+    if (!store.ordersCache) store.ordersCache = await storage.loadOrders(store.id)
+    return store.ordersCache
+  }
+
+  // 进行中的采购单，每个库存点同时只有一张
+  async function getOpenOrder(store: Store): Promise<PurchaseOrder | undefined> {
+    return (await getOrders(store)).find(order => order.status === 'open')
+  }
+
+  // 保存采购单并更新缓存，保存失败时返回提示且缓存保持不变
+  async function saveOrder(store: Store, order: PurchaseOrder, session?: Session): Promise<string | null> {
+    const orders = await getOrders(store)
+    try {
+      await storage.saveOrder(store.id, order)
+    } catch (err) {
+      ctx.logger('stock-manager').error(`库存点 ${store.id} 保存采购单 #${order.id} 失败:`, err)
+      return getText(store, session, 'shopping.failed')
+    }
+    const index = orders.findIndex(existing => existing.id === order.id)
+    if (index === -1) orders.push(order)
+    else orders[index] = order
+    return null
+  }
+
+  // 物品规格最大的包装，未配置包装时为 undefined
+  function getLargestPack(store: Store, itemName: string): { name: string; size: number } | undefined {
+    const packs = getItemConfig(store, itemName)?.packs || []
+    return packs.reduce<{ name: string; size: number } | undefined>((largest, pack) => !largest || pack.size > largest.size ? pack : largest, undefined)
+  }
+
+  // 按建议补货量生成采购清单，配置了包装的物品按最大的包装向上取整
+  async function getShoppingLines(store: Store): Promise<PurchaseOrder['lines']> {
+    const records = await getRecords(store)
+    const lines: PurchaseOrder['lines'] = []
+    for (const item of getActiveItems(store)) {
+      const { suggested } = getForecast(store, item, records)
+      if (suggested <= 0) continue
+      const pack = getLargestPack(store, item.name)
+      lines.push({ itemName: item.name, count: pack ? roundQuantity(Math.ceil(suggested / pack.size) * pack.size) : suggested })
+    }
+    return lines
+  }
+
+  // 采购单的内容和认领状态，整箱的数量同时显示箱数
+  function describeOrder(store: Store, order: PurchaseOrder, session?: Session): string {
+    const text = (path: string, params?: object) => getText(store, session, `shopping.${path}`, params)
+    const lines = order.lines.map(line => {
+      const pack = getLargestPack(store, line.itemName)
+      const packs = pack && Number.isInteger(roundQuantity(line.count / pack.size))
+        ? text('packs', { count: roundQuantity(line.count / pack.size), pack: pack.name })
+        : ''
+      return text('line', { item: line.itemName, amount: formatAmount(store, line.itemName, line.count), packs })
+    })
+    const status = order.claimedBy
+      ? text('claimed', { name: order.claimedByName, time: formatTime(order.claimedAt!) })
+      : text('unclaimed')
+    return text('order', { id: order.id, time: formatTime(order.createdAt), status, lines: lines.join('\n') })
+  }
+
+  // 显示进行中的采购单，没有时按目标库存生成新的采购单；未认领的采购单按当前库存更新清单
+  async function showShoppingList(session: Session, store: Store): Promise<string> {
+    const order = await getOpenOrder(store)
+    if (order?.claimedBy) return describeOrder(store, order, session)
+
+    const lines = await getShoppingLines(store)
+    if (order) {
+      // 库存已补足时取消未认领的采购单
+      const updated: PurchaseOrder = lines.length ? { ...order, lines } : { ...order, status: 'cancelled', closedAt: Date.now() }
+      const failed = await saveOrder(store, updated, session)
+      if (failed) return failed
+      return lines.length ? describeOrder(store, updated, session) : getText(store, session, 'shopping.empty')
+    }
+    if (!lines.length) return getText(store, session, 'shopping.empty')
+
+    const orders = await getOrders(store)
+    const created: PurchaseOrder = {
+      id: Math.max(0, ...orders.map(existing => existing.id)) + 1,
+      createdAt: Date.now(),
+      status: 'open',
+      lines,
+    }
+    const failed = await saveOrder(store, created, session)
+    if (failed) return failed
+    ctx.logger('stock-manager').info(`用户 ${session.userId} 在库存点 ${store.id} 生成采购单 #${created.id}`)
+    return describeOrder(store, created, session)
+  }
+
+  // 认领进行中的采购单，避免多人重复采购
+  async function claimOrder(session: Session, store: Store): Promise<string> {
+    const text = (path: string, params?: object) => getText(store, session, `shopping.${path}`, params)
+    const order = await getOpenOrder(store)
+    if (!order) return text('none')
+    if (order.claimedBy === session.userId) return text('already-claimed', { id: order.id })
+    if (order.claimedBy) return text('claimed-by-other', { id: order.id, name: order.claimedByName })
+
+    const { userId, userName } = getActor(store, session)
+    const claimed: PurchaseOrder = { ...order, claimedBy: userId, claimedByName: userName, claimedAt: Date.now() }
+    const failed = await saveOrder(store, claimed, session)
+    if (failed) return failed
+    ctx.logger('stock-manager').info(`用户 ${userId} 认领库存点 ${store.id} 的采购单 #${order.id}`)
+    return text('claim-success', { id: order.id })
+  }
+
+  // 已被他人认领的采购单只有认领人或管理员可以完成或取消，无权操作时返回提示
+  async function checkOrderOwner(session: Session, store: Store, order: PurchaseOrder): Promise<string | null> {
+    if (!order.claimedBy || order.claimedBy === session.userId || await isAdmin(session)) return null
+    ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试操作 ${order.claimedBy} 认领的采购单 #${order.id}，权限不足`)
+    return getText(store, session, 'shopping.not-owner', { id: order.id, name: order.claimedByName })
+  }
+
+  // 补货记录写入后完成采购单，记录校验码并补全认领人，返回追加在回复中的说明
+  async function closeOrder(session: Session, store: Store, order: PurchaseOrder, records: StockRecord[]): Promise<string> {
+    const text = (path: string, params?: object) => getText(store, session, `shopping.${path}`, params)
+    const { userId, userName } = getActor(store, session)
+    const closed: PurchaseOrder = { ...order, status: 'done', closedAt: Date.now(), ref: records[0].ref }
+    // 未认领的采购单由完成人补为认领人
+    if (!closed.claimedBy) Object.assign(closed, { claimedBy: userId, claimedByName: userName, claimedAt: closed.closedAt })
+    if (await saveOrder(store, closed, session)) return text('close-failed', { id: order.id })
+
+    ctx.logger('stock-manager').info(`用户 ${userId} 完成库存点 ${store.id} 的采购单 #${order.id}`)
+    const restocked = new Set(records.map(record => record.itemName))
+    const missing = order.lines.filter(line => !restocked.has(line.itemName)).map(line => line.itemName)
+    return missing.length
+      ? text('done-missing', { id: order.id, items: joinList(store, session, missing) })
+      : text('done', { id: order.id })
+  }
+
+  function getItemConfig(store: Store, itemName: string): ItemConfig | undefined {
+    const formerNames = store.stockData.get(itemName)?.formerNames || []
+    return store.items.find(item => item.name === itemName || formerNames.includes(item.name))
+  }
+
+  // 操作记录对应物品的当前名称（物品改名后，旧记录仍使用原名称）
+  function getRecordItemName(store: Store, record: StockRecord): string {
+    return store.renamedItems.get(record.itemName) ?? record.itemName
+  }
+
+  function getStockLevel(store: Store, item: StockItem): StockLevel {
+    // 已归档的物品不再提醒
+    if (item.archived) return 'ok'
+    const itemConfig = getItemConfig(store, item.name)
+    if (itemConfig?.criticalThreshold !== undefined && item.count <= itemConfig.criticalThreshold) return 'critical'
+    if (itemConfig?.lowThreshold !== undefined && item.count <= itemConfig.lowThreshold) return 'low'
+    return 'ok'
+  }
+
+  function describeStockLevel(store: Store, item: StockItem, level: StockLevel, session?: Session): string {
+    const itemConfig = getItemConfig(store, item.name)
+    return level === 'critical'
+      ? getText(store, session, 'alert.critical', { threshold: itemConfig?.criticalThreshold })
+      : getText(store, session, 'alert.low', { threshold: itemConfig?.lowThreshold })
+  }
+
+  // 更新物品的库存水位，水位下降到更低一级时返回提醒消息
+  function updateStockLevel(store: Store, item: StockItem, session?: Session): string | null {
+    const levels: StockLevel[] = ['ok', 'low', 'critical']
+    const previous = store.stockLevels.get(item.name) || 'ok'
+    const current = getStockLevel(store, item)
+    store.stockLevels.set(item.name, current)
+    if (levels.indexOf(current) <= levels.indexOf(previous)) return null
+
+    ctx.emit('stock/low', store.id, toItemView(store, item), current as 'low' | 'critical')
+    return mentionRestockers(getText(store, session, 'alert.stock', {
+      item: item.name,
+      amount: formatAmount(store, item.name, item.count),
+      level: describeStockLevel(store, item, current, session),
+    }))
+  }
+
+  // 生成库存点的低库存汇总（包括预计在提醒天数内用完的物品），没有需要补货的物品时返回 null
+  function getLowStockSummary(store: Store, records: StockRecord[]): string | null {
+    const lines: string[] = []
+    getActiveItems(store).forEach(item => {
+      const level = getStockLevel(store, item)
+      const forecast = getForecast(store, item, records)
+      const leadDays = getLeadDays(store, item.name)
+      const depleting = leadDays > 0 && forecast.dailyAverage > 0 && forecast.daysLeft <= leadDays
+      if (level === 'ok' && !depleting) return
+      const reasons = level === 'ok' ? [] : [describeStockLevel(store, item, level)]
+      if (depleting) reasons.push(getText(store, undefined, 'alert.depleting', { days: formatDays(forecast.daysLeft) }))
+      lines.push(getText(store, undefined, 'alert.summary-line', {
+        item: item.name,
+        amount: formatAmount(store, item.name, item.count),
+        reasons: reasons.join(getText(store, undefined, 'alert.reason-separator')),
+      }))
+    })
+    if (lines.length === 0) return null
+    return `${getText(store, undefined, 'alert.summary')}\n${lines.join('\n')}`
+  }
+
+  // 生成库存点的临期提醒（expiryWarningDays 天内到期或已过期的批次），没有时返回 null
+  function getExpiryWarning(store: Store): string | null {
+    if (config.expiryWarningDays <= 0) return null
+    const today = parseDate(getToday())!
+    const lines: string[] = []
+    for (const item of getActiveItems(store)) {
+      if (!isTrackingExpiry(store, item.name)) continue
+      for (const lot of item.lots || []) {
+        if (!lot.expiry) continue
+        const days = Math.round((parseDate(lot.expiry)! - today) / 86400000)
+        if (days > config.expiryWarningDays) continue
+        const path = days < 0 ? 'alert.expired-line' : days === 0 ? 'alert.expiry-today-line' : 'alert.expiry-line'
+        lines.push(getText(store, undefined, path, {
+          item: item.name,
+          amount: formatAmount(store, item.name, lot.count),
+          date: lot.expiry,
+          days,
+        }))
+      }
+    }
+    if (lines.length === 0) return null
+    return getText(store, undefined, 'alert.expiry', { lines: lines.join('\n') })
+  }
+
+  // 向库存点的群发送消息，群号不含平台前缀，由各机器人分别尝试发送
+  async function sendToGroups(store: Store, content: string) {
+    if (store.groups.length === 0) return
+    await Promise.all(ctx.bots.map(bot => bot.broadcast(store.groups, content)))
+  }
+
+  // 每日定时发送低库存汇总和临期提醒
+  let lastSummaryDate = ''
+  ctx.setInterval(async () => {
+    if (!config.dailySummaryTime) return
+    const now = new Date()
+    const [hour, minute] = config.dailySummaryTime.split(':').map(Number)
+    if (now.getHours() !== hour || now.getMinutes() !== minute) return
+    const today = now.toDateString()
+    if (lastSummaryDate === today) return
+    lastSummaryDate = today
+
+    for (const store of stores.values()) {
+      if (store.groups.length === 0) continue
+      await ensureInitialized(store)
+      if (checkAvailable(store)) continue
+      const messages = [getLowStockSummary(store, await getRecords(store)), getExpiryWarning(store)]
+      for (const message of messages) {
+        if (!message) continue
+        try {
+          await sendToGroups(store, message)
+        } catch (err) {
+          ctx.logger('stock-manager').error(`库存点 ${store.id} 发送每日汇总失败:`, err)
+        }
+      }
+    }
+  }, 30 * 1000)
+
+  // 获取用户的 Koishi 权限等级（未安装数据库时为 0）
+  async function getAuthority(session: Session): Promise<number> {
+    if (!ctx.database || !session.userId) return 0
+    try {
+      const user = await session.observeUser(['authority'])
+      return user.authority
+    } catch (err) {
+      ctx.logger('stock-manager').warn('获取用户权限等级失败:', err)
+      return 0
+    }
+  }
+
+  async function getRole(session: Session): Promise<Role> {
+    const userId = session.userId
+    const authority = await getAuthority(session)
+    const reaches = (threshold: number) => threshold > 0 && authority >= threshold
+    if ((userId && config.admins.includes(userId)) || reaches(config.adminAuthority)) return 'admin'
+    if ((userId && config.restockers.includes(userId)) || reaches(config.restockerAuthority)) return 'restocker'
+    return 'member'
+  }
+
+  async function isAdmin(session: Session): Promise<boolean> {
+    return await getRole(session) === 'admin'
+  }
+
+  // 未配置管理员时恢复备份退回到 Koishi 权限等级检查（与控制台修改库存相同），避免数据损坏后无人能恢复
+  async function canRestore(session: Session): Promise<boolean> {
+    if (await isAdmin(session)) return true
+    return config.admins.length === 0 && !config.adminAuthority && await getAuthority(session) >= 4
+  }
+
+  // 检查执行操作所需的角色，权限不足时返回提示
+  async function checkOperationPermission(session: Session, store: Store, op: Operation): Promise<string | null> {
+    if (!config.roleControl) return null
+    const role = await getRole(session)
+    let required: Role = 'member'
+    if (op.operation === '=' || op.noRank) {
+      required = 'admin'
+    } else if (op.operation === '+') {
+      required = 'restocker'
+    }
+    if (required === 'member' || role === 'admin' || role === required) return null
+
+    ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试执行 ${op.itemName}${op.operation}${op.value}${op.noRank ? '-r' : ''}，权限不足`)
+    if (op.noRank) return getText(store, session, 'permission.unranked')
+    if (op.operation === '=') return getText(store, session, 'permission.set')
+    return getText(store, session, 'permission.add')
+  }
+
+  // 根据记录ID或校验码查找记录（校验码可带或不带标识前缀）
+  function findRecord(records: StockRecord[], ref: string): StockRecord | undefined {
+    const text = ref.trim()
+    if (/^#?\d+$/.test(text)) {
+      const id = parseInt(text.replace('#', ''), 10)
+      return records.find(r => r.id === id)
+    }
+    const code = text.replace(/^[^:]*:\s*/, '')
+    return records.find(r => r.ref === code)
+  }
+
+  function formatTime(timestamp: number): string {
+    const date = new Date(timestamp)
+    const pad = (value: number) => String(value).padStart(2, '0')
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  }
+
+  // 校验校验码，返回对应记录的详情或伪造提示
+  async function verifyCode(store: Store, code: string, session?: Session): Promise<string> {
+    await ensureInitialized(store)
+    const text = (path: string, params?: object) => getText(store, session, `verify.${path}`, params)
+
+    const ref = code.trim().replace(/^[^:]*:\s*/, '')
+    // 批量操作的多条记录共用一个校验码
+    const allRecords = await getRecords(store)
+    const records = allRecords.filter(r => r.ref === ref)
+    if (!records.length) return text('not-found')
+    const operator = getUserNames(allRecords).get(records[0].userId) ?? records[0].userName
+
+    let signature = text('unsigned')
+    if (config.getCodeSecret) {
+      const match = ref.match(/_([0-9a-f]{6})_([0-9a-f]{8})$/)
+      if (match) {
+        const expected = Buffer.from(signRef(store, records, match[1]))
+        if (!timingSafeEqual(expected, Buffer.from(match[2]))) {
+          return text('bad-signature')
+        }
+        signature = text('signed')
+      }
+    }
+
+    const [record] = records
+    const formatChange = (record: StockRecord) => text(record.isRanked ? 'change' : 'change-unranked', { item: record.itemName, change: formatSigned(record.change) })
+    const formatRevert = (record: StockRecord) => record.revertOf !== undefined ? text('revert-of', { id: record.revertOf })
+      : record.audit !== undefined ? text('audit')
+      : record.waste ? text('waste')
+      : record.order !== undefined ? text('order', { id: record.order }) : ''
+    const formatBalance = (record: StockRecord) => formatAmount(store, getRecordItemName(store, record), record.balance!)
+    if (records.length === 1) {
+      const lines = [
+        text('valid', { signature }),
+        text('record', { id: record.id, mark: formatRevert(record) }),
+        text('operator', { name: operator, id: record.userId }),
+        text('operation', { change: formatChange(record) }),
+        text('time', { time: formatTime(record.timestamp) }),
+      ]
+      if (record.balance !== undefined) lines.push(text('balance', { amount: formatBalance(record) }))
+      if (store.revertedIds.has(record.id)) lines.push(text('reverted'))
+      return lines.join('\n')
+    }
+
+    const lines = [
+      text('valid', { signature }),
+      text('operator', { name: operator, id: record.userId }),
+      text('time', { time: formatTime(record.timestamp) }),
+      text('batch', { count: records.length }),
+    ]
+    for (const record of records) {
+      let line = text('batch-record', { id: record.id, mark: formatRevert(record), change: formatChange(record) })
+      if (record.balance !== undefined) line += text('batch-balance', { amount: formatBalance(record) })
+      if (store.revertedIds.has(record.id)) line += text('batch-reverted')
+      lines.push(line)
+    }
+    return lines.join('\n')
+  }
+
+  // 撤销一次操作：写入反向的补偿记录并恢复库存与累计数据，批量操作整体撤销
+  async function undoOperation(session: Session, store: Store, ref?: string): Promise<string | void> {
+    await ensureInitialized(store)
+
+    const userId = session.userId || 'unknown'
+    const records = await getRecords(store)
+    let target: StockRecord | undefined
+    if (ref) {
+      target = findRecord(records, ref)
+      if (!target) return getText(store, session, 'undo.not-found')
+    } else {
+      // 默认撤销调用者最近的一次操作
+      target = [...records].reverse().find(r => r.userId === userId && r.revertOf === undefined)
+      if (!target) return getText(store, session, 'undo.none')
+    }
+
+    if (target.revertOf !== undefined) return getText(store, session, 'undo.revert-record')
+    if (store.revertedIds.has(target.id)) return getText(store, session, 'undo.already-reverted', { id: target.id })
+    if (target.userId !== userId && !await isAdmin(session)) return getText(store, session, 'undo.not-owner')
+
+    // 同一校验码下尚未撤销的记录一并撤销，按与操作相反的顺序恢复
+    const targetRef = target.ref
+    const targets = targetRef
+      ? records.filter(r => r.ref === targetRef && r.revertOf === undefined && !store.revertedIds.has(r.id)).reverse()
+      : [target]
+
+    const items = new Map<string, StockItem>()
+    const changes: number[] = []
+    const balances: number[] = []
+    const lotChanges: (StockLot[] | undefined)[] = []
+    for (const record of targets) {
+      const itemName = getRecordItemName(store, record)
+      let item = items.get(itemName)
+      if (!item) {
+        const original = store.stockData.get(itemName)
+        if (!original) return getText(store, session, 'general.item-missing', { item: itemName })
+        item = { ...original }
+        items.set(itemName, item)
+      }
+      const previous = item.count
+      item.count = roundQuantity(item.count - record.change)
+      if (item.count < 0) item.count = 0
+      // 库存不足时只扣到 0，反向记录和累计数据按实际恢复的数量计算
+      const change = roundQuantity(item.count - previous)
+      // 按原记录恢复各批次的数量
+      lotChanges.push(updateLots(store, item, previous, undefined, record.lots))
+      if (record.isRanked) {
+        if (record.change > 0) {
+          item.totalAdded = roundQuantity(item.totalAdded + change)
+        } else {
+          item.totalConsumed = roundQuantity(item.totalConsumed - change)
+        }
+      }
+      changes.push(change)
+      balances.push(item.count)
+    }
+
+    try {
+      await saveStockItems(store, Array.from(items.values()))
+
+      const reverts = createRecords(getActor(store, session), store, targets.map((record, index) => ({
+        itemName: getRecordItemName(store, record),
+        change: changes[index],
+        isRanked: record.isRanked,
+        balance: balances[index],
+        revertOf: record.id,
+        audit: record.audit,
+        lots: lotChanges[index],
+        waste: record.waste,
+      })))
+      for (const record of reverts) {
+        await addRecord(store, record)
+      }
+
+      const names = getUserNames(records)
+      const lines = targets.map((record, index) => getText(store, session, 'undo.success', {
+        id: record.id,
+        user: names.get(record.userId) ?? record.userName,
+        item: record.itemName,
+        change: formatSigned(record.change),
+        amount: formatAmount(store, getRecordItemName(store, record), balances[index]),
+      }))
+      const sections = [lines.join('\n')]
+      appendCode(store, sections, reverts[0].ref!)
+      await session.send(sections.join('\n\n'))
+
+      for (const item of items.values()) {
+        const alert = updateStockLevel(store, item, session)
+        if (alert) await session.send(alert)
+      }
+    } catch (err) {
+      ctx.logger('stock-manager').error('撤销操作失败:', err)
+      return getText(store, session, 'undo.failed', { items: joinList(store, session, Array.from(items.keys())) })
+    }
+  }
+
+  // 直接设置库存数量
+  async function setStock(session: Session, store: Store, itemName: string, count: number): Promise<string | void> {
+    const stockItem = store.stockData.get(itemName)
+    if (!stockItem) return getText(store, session, 'general.item-missing', { item: itemName })
+    if (stockItem.archived) return getText(store, session, 'operation.archived', { item: itemName })
+
+    const change = roundQuantity(count - stockItem.count)
+    if (change === 0) return getText(store, session, 'operation.unchanged', { item: itemName, amount: formatAmount(store, itemName, count) })
+
+    const previous = stockItem.count
+    stockItem.count = count
+    const lots = updateLots(store, stockItem, previous)
+    try {
+      await saveStockItems(store, [stockItem])
+      // 直接设置库存不计入排行榜和累计数据，仅记录以便校验和撤销
+      const [record] = createRecords(getActor(store, session), store, [{
+        itemName,
+        change,
+        isRanked: false,
+        balance: count,
+        lots,
+      }])
+      await addRecord(store, record)
+      const sections = [getText(store, session, 'set.success', { item: itemName, amount: formatAmount(store, itemName, count) })]
+      appendCode(store, sections, record.ref!)
+      await session.send(sections.join('\n\n'))
+
+      const alert = updateStockLevel(store, stockItem, session)
+      if (alert) await session.send(alert)
+    } catch (err) {
+      ctx.logger('stock-manager').error('设置库存失败:', err)
+      return getText(store, session, 'set.failed')
+    }
+  }
+
+  // 今天的日期（YYYY-MM-DD），到期日期早于今天的批次视为已过期
+  function getToday(): string {
+    return formatTime(Date.now()).slice(0, 10)
+  }
+
+  // 报损过期批次（指定到期日期时报损该日期的批次），写入不计入排行榜的报损记录
+  async function writeOffLots(session: Session, store: Store, itemName?: string, expiry?: string): Promise<string | void> {
+    const today = getToday()
+    const items: StockItem[] = []
+    const entries: RecordEntry[] = []
+    const lines: string[] = []
+    for (const item of getActiveItems(store)) {
+      if (itemName && item.name !== itemName) continue
+      if (!isTrackingExpiry(store, item.name)) continue
+      const lots = (item.lots || []).filter(lot => lot.expiry && (expiry ? lot.expiry === expiry : lot.expiry < today))
+      if (!lots.length) continue
+      const total = roundQuantity(lots.reduce((sum, lot) => sum + lot.count, 0))
+      const next = { ...item, count: Math.max(0, roundQuantity(item.count - total)) }
+      const change = roundQuantity(next.count - item.count)
+      items.push(next)
+      entries.push({ itemName: item.name, change, isRanked: false, balance: next.count, lots: updateLots(store, next, item.count, undefined, lots), waste: true })
+      lines.push(getText(store, session, 'writeoff.line', {
+        item: item.name,
+        change: formatAmount(store, item.name, formatSigned(change)),
+        dates: joinList(store, session, lots.map(lot => lot.expiry!)),
+        amount: formatAmount(store, item.name, next.count),
+      }))
+    }
+    if (!entries.length) return getText(store, session, expiry ? 'writeoff.not-found' : 'writeoff.none', { date: expiry })
+
+    try {
+      await saveStockItems(store, items)
+      const records = createRecords(getActor(store, session), store, entries)
+      for (const record of records) {
+        await addRecord(store, record)
+      }
+      ctx.logger('stock-manager').info(`用户 ${session.userId} 在库存点 ${store.id} 报损 ${entries.map(entry => `${entry.itemName}${entry.change}`).join(' ')}`)
+
+      const sections = [getText(store, session, 'writeoff.success', { lines: lines.join('\n') })]
+      appendCode(store, sections, records[0].ref!)
+      await session.send(sections.join('\n\n'))
+
+      for (const item of items) {
+        const alert = updateStockLevel(store, item, session)
+        if (alert) await session.send(alert)
+      }
+    } catch (err) {
+      ctx.logger('stock-manager').error('报损失败:', err)
+      return getText(store, session, 'writeoff.failed')
+    }
+  }
+
+  function formatSigned(value: number): string {
+    return `${value > 0 ? '+' : ''}${value}`
+  }
+
+  // 盘点中尚未录入数量的物品
+  function getUncountedItems(store: Store, audit: Audit): string[] {
+    return getActiveItems(store).map(item => item.name).filter(name => !audit.counts.has(name))
+  }
+
+  // 盘点中尚未盘点的物品，全部盘点时提示完成盘点
+  function describeUncounted(store: Store, audit: Audit, session?: Session): string {
+    const uncounted = getUncountedItems(store, audit)
+    return uncounted.length
+      ? getText(store, session, 'audit.uncounted', { items: joinList(store, session, uncounted) })
+      : getText(store, session, 'audit.all-counted')
+  }
+
+  // 盘点进度：已盘点物品的差异和尚未盘点的物品
+  function describeAudit(store: Store, audit: Audit, session?: Session): string {
+    const lines = [getText(store, session, 'audit.status', { time: formatTime(audit.id) })]
+    for (const [itemName, entry] of audit.counts) {
+      lines.push(getText(store, session, 'audit.status-line', {
+        item: itemName,
+        counted: formatAmount(store, itemName, entry.count),
+        expected: formatAmount(store, itemName, entry.expected),
+        diff: formatSigned(roundQuantity(entry.count - entry.expected)),
+        user: entry.userName,
+      }))
+    }
+    lines.push(describeUncounted(store, audit, session))
+    return lines.join('\n')
+  }
+
+  // 录入盘点数量，只记录与当前系统库存的差异，不修改库存
+  async function recordAuditCounts(session: Session, store: Store, ops: Operation[]) {
+    const audit = store.audit
+    if (!audit) {
+      await session.send(getText(store, session, 'audit.none'))
+      return
+    }
+
+    const { userName } = getActor(store, session)
+    const lines: string[] = []
+    for (const op of ops) {
+      const item = store.stockData.get(op.itemName)
+      if (!item || item.archived) continue
+      audit.counts.set(op.itemName, { count: op.value, expected: item.count, userName })
+      lines.push(getText(store, session, 'audit.recorded', {
+        item: op.itemName,
+        counted: formatAmount(store, op.itemName, op.value),
+        expected: formatAmount(store, op.itemName, item.count),
+        diff: formatSigned(roundQuantity(op.value - item.count)),
+      }))
+    }
+    lines.push(describeUncounted(store, audit, session))
+    await session.send(lines.join('\n'))
+  }
+
+  // 完成盘点：按盘点时的差异修正当前库存，写入不计入排行榜的盘点差异记录
+  // 盘点后发生的 +/- 操作不受影响，未盘点的物品保持不变
+  async function finishAudit(session: Session, store: Store): Promise<string | void> {
+    const audit = store.audit
+    if (!audit) return getText(store, session, 'audit.none')
+
+    const items: StockItem[] = []
+    const entries: RecordEntry[] = []
+    const lines: string[] = []
+    for (const [itemName, entry] of audit.counts) {
+      const item = store.stockData.get(itemName)
+      const diff = roundQuantity(entry.count - entry.expected)
+      if (!item || diff === 0) continue
+      const count = Math.max(0, roundQuantity(item.count + diff))
+      lines.push(getText(store, session, 'audit.finish-line', {
+        item: itemName,
+        counted: formatAmount(store, itemName, entry.count),
+        expected: formatAmount(store, itemName, entry.expected),
+        diff: formatSigned(diff),
+        amount: formatAmount(store, itemName, count),
+      }))
+      if (count === item.count) continue
+      const next = { ...item, count }
+      items.push(next)
+      entries.push({ itemName, change: roundQuantity(count - item.count), isRanked: false, balance: count, audit: audit.id, lots: updateLots(store, next, item.count) })
+    }
+
+    const sections = [getText(store, session, 'audit.finished', { time: formatTime(audit.id), count: audit.counts.size })]
+    sections.push(lines.length ? getText(store, session, 'audit.differences', { lines: lines.join('\n') }) : getText(store, session, 'audit.no-difference'))
+    const uncounted = getUncountedItems(store, audit)
+    if (uncounted.length) sections.push(getText(store, session, 'audit.skipped', { items: joinList(store, session, uncounted) }))
+
+    try {
+      if (entries.length) {
+        await saveStockItems(store, items)
+        const records = createRecords(getActor(store, session), store, entries)
+        for (const record of records) {
+          await addRecord(store, record)
+        }
+        appendCode(store, sections, records[0].ref!)
+      }
+      store.audit = null
+      ctx.logger('stock-manager').info(`用户 ${session.userId} 完成库存点 ${store.id} 的盘点，${entries.length} 个物品有差异`)
+      await session.send(sections.join('\n\n'))
+
+      for (const item of items) {
+        const alert = updateStockLevel(store, item, session)
+        if (alert) await session.send(alert)
+      }
+    } catch (err) {
+      ctx.logger('stock-manager').error('完成盘点失败:', err)
+      return getText(store, session, 'audit.finish-failed')
+    }
+  }
+
+  // 盘点差异报告：按盘点和按物品分别汇总时间范围内的盘点差异记录
+  async function getAuditReport(store: Store, range: TimeRange, session?: Session): Promise<string> {
+    const allRecords = await getRecords(store)
+    const names = getUserNames(allRecords)
+    const records = allRecords.filter(record =>
+      record.audit !== undefined && isEffective(store, record) && isInRange(record.timestamp, range))
+    if (records.length === 0) return getText(store, session, 'audit.report-empty')
+
+    const audits = new Map<number, StockRecord[]>()
+    const totals = new Map<string, { change: number; audits: Set<number> }>()
+    for (const record of records) {
+      const audit = record.audit!
+      if (!audits.has(audit)) audits.set(audit, [])
+      audits.get(audit)!.push(record)
+      const itemName = getRecordItemName(store, record)
+      const total = totals.get(itemName) || { change: 0, audits: new Set<number>() }
+      total.change = roundQuantity(total.change + record.change)
+      total.audits.add(audit)
+      totals.set(itemName, total)
+    }
+
+    const sections = Array.from(audits, ([audit, records]) => {
+      const lines = records.map(record => `${record.itemName} ${formatAmount(store, getRecordItemName(store, record), formatSigned(record.change))}`)
+      return getText(store, session, 'audit.report-audit', { time: formatTime(audit), user: names.get(records[0].userId) ?? records[0].userName, lines: lines.join('\n') })
+    })
+    const totalLines = Array.from(totals, ([itemName, total]) => {
+      const itemConfig = getItemConfig(store, itemName)
+      const loss = itemConfig?.cost !== undefined && total.change < 0
+        ? getText(store, session, 'audit.report-loss', { cost: formatMoney(-total.change * itemConfig.cost) })
+        : ''
+      return getText(store, session, 'audit.report-total', {
+        item: itemName,
+        change: formatAmount(store, itemName, formatSigned(total.change)),
+        count: total.audits.size,
+        loss,
+      })
+    })
+    sections.push(getText(store, session, 'audit.report-totals', { lines: totalLines.join('\n') }))
+    return sections.join('\n\n')
+  }
+
+  // 批次在 CSV 中记为 到期日期:数量，多个批次以 | 分隔，没有到期日期的批次日期为空
+  function formatLots(lots?: StockLot[]): string | undefined {
+    return lots?.map(lot => `${lot.expiry || ''}:${lot.count}`).join('|')
+  }
+
+  // 导出物品当前状态和时间范围内的操作记录，CSV 格式分为物品和记录两个文件
+  async function exportData(store: Store, format: 'csv' | 'json', range: TimeRange): Promise<h[]> {
+    const items = Array.from(store.stockData.values(), item => {
+      const itemConfig = getItemConfig(store, item.name)
+      return { ...item, price: itemConfig?.price, cost: itemConfig?.cost }
+    })
+    const records = (await getRecords(store)).filter(record => isInRange(record.timestamp, range))
+    const date = formatTime(Date.now()).slice(0, 10)
+    const fileName = (kind: string, ext: string) => `stock-${store.id}-${kind}-${date}.${ext}`
+
+    if (format === 'json') {
+      const data = { store: store.id, exportedAt: Date.now(), from: range.from, to: range.to, items, records }
+      return [h.file(Buffer.from(JSON.stringify(data, null, 2)), 'application/json', { title: fileName('export', 'json') })]
+    }
+
+    const itemRows = [
+      ['name', 'aliases', 'count', 'totalAdded', 'totalConsumed', 'price', 'cost', 'archived', 'formerNames', 'lots'],
+      ...items.map(item => [
+        item.name, item.aliases.join('|'), item.count, item.totalAdded, item.totalConsumed,
+        item.price, item.cost, !!item.archived, item.formerNames?.join('|'), formatLots(item.lots),
+      ]),
+    ]
+    const recordRows = [
+      ['id', 'time', 'itemName', 'userId', 'userName', 'change', 'balance', 'isRanked', 'revertOf', 'audit', 'waste', 'order', 'price', 'cost', 'lots', 'ref'],
+      ...records.map(record => [
+        record.id, formatTime(record.timestamp), record.itemName, record.userId, record.userName, record.change,
+        record.balance, record.isRanked, record.revertOf, record.audit, record.waste, record.order, record.price, record.cost, formatLots(record.lots), record.ref,
+      ]),
+    ]
+    return [
+      h.file(Buffer.from(formatCsv(itemRows)), 'text/csv', { title: fileName('items', 'csv') }),
+      h.file(Buffer.from(formatCsv(recordRows)), 'text/csv', { title: fileName('records', 'csv') }),
+    ]
+  }
+
+  // 读取导入内容：优先使用消息或引用消息中的文件附件，否则使用指令后的文本
+  async function readImportText(session: Session, text?: string): Promise<string | null> {
+    const elements = [...session.elements || [], ...session.quote?.elements || []]
+    const file = h.select(elements, 'file')[0]
+    if (file?.attrs.src) {
+      if (!ctx.http) throw new Error('http service is not available')
+      const { data } = await ctx.http.file(file.attrs.src)
+      return Buffer.from(data).toString('utf8')
+    }
+    return text?.trim() || null
+  }
+
+  // 解析盘点 CSV：每行为“物品,数量”，物品可填写名称或别名
+  // 带表头时按 name/item/物品 与 count/库存/数量 列读取，因此也可直接导入 stock.export 导出的物品文件
+  function parseStocktakeCsv(store: Store, text: string, session?: Session): Map<string, number> | string {
+    const rows = parseCsv(text)
+    let nameIndex = 0
+    let countIndex = 1
+    if (rows.length) {
+      const header = rows[0].map(cell => cell.toLowerCase())
+      const headerName = header.findIndex(cell => ['name', 'item', '物品', '名称'].includes(cell))
+      const headerCount = header.findIndex(cell => ['count', '库存', '数量'].includes(cell))
+      if (headerName !== -1 && headerCount !== -1) {
+        nameIndex = headerName
+        countIndex = headerCount
+        rows.shift()
+      }
+    }
+
+    const counts = new Map<string, number>()
+    const errors: string[] = []
+    for (const row of rows) {
+      const name = row[nameIndex] || ''
+      const countText = row[countIndex] || ''
+      const itemName = resolveItemName(store, name)
+      const count = itemName ? parseAmount(store, itemName, countText) : null
+      const empty = getText(store, session, 'import.empty-cell')
+      if (!itemName) {
+        errors.push(getText(store, session, 'import.unknown-item', { name: name || empty }))
+      } else if (store.stockData.get(itemName)!.archived) {
+        errors.push(getText(store, session, 'import.archived', { item: itemName }))
+      } else if (count === null || checkQuantity(store, itemName, count)) {
+        errors.push(getText(store, session, 'import.invalid-count', { item: itemName, count: countText || empty }))
+      } else if (counts.has(itemName)) {
+        errors.push(getText(store, session, 'import.duplicate', { item: itemName }))
+      } else {
+        counts.set(itemName, count)
+      }
+    }
+    if (errors.length) return getText(store, session, 'import.failed', { errors: errors.join('\n') })
+    if (!counts.size) return getText(store, session, 'import.no-data')
+    return counts
+  }
+
+  // 将盘点数量作为对账导入：每个有差异的物品写入一条盘点差异记录，共用一个校验码
+  async function importStocktake(session: Session, store: Store, counts: Map<string, number>): Promise<string | void> {
+    const audit = Date.now()
+    const items: StockItem[] = []
+    const entries: RecordEntry[] = []
+    const lines: string[] = []
+    for (const [itemName, count] of counts) {
+      const item = store.stockData.get(itemName)
+      if (!item) return getText(store, session, 'general.item-missing', { item: itemName })
+      const change = roundQuantity(count - item.count)
+      if (change === 0) continue
+      lines.push(getText(store, session, 'import.line', { item: itemName, from: item.count, amount: formatAmount(store, itemName, count), change: formatSigned(change) }))
+      const next = { ...item, count }
+      items.push(next)
+      entries.push({ itemName, change, isRanked: false, balance: count, audit, lots: updateLots(store, next, item.count) })
+    }
+
+    const missing = getActiveItems(store).map(item => item.name).filter(name => !counts.has(name))
+    const missingText = missing.length ? getText(store, session, 'audit.skipped', { items: joinList(store, session, missing) }) : ''
+    if (!entries.length) return [getText(store, session, 'import.no-difference'), missingText].filter(Boolean).join('\n\n')
+
+    try {
+      await saveStockItems(store, items)
+      const records = createRecords(getActor(store, session), store, entries)
+      for (const record of records) {
+        await addRecord(store, record)
+      }
+      ctx.logger('stock-manager').info(`用户 ${session.userId} 向库存点 ${store.id} 导入盘点数据，${entries.length} 个物品有差异`)
+
+      const sections = [getText(store, session, 'import.success', { count: entries.length, lines: lines.join('\n') })]
+      if (missingText) sections.push(missingText)
+      appendCode(store, sections, records[0].ref!)
+      await session.send(sections.join('\n\n'))
+
+      for (const item of items) {
+        const alert = updateStockLevel(store, item, session)
+        if (alert) await session.send(alert)
+      }
+    } catch (err) {
+      ctx.logger('stock-manager').error('导入盘点数据失败:', err)
+      return getText(store, session, 'import.save-failed')
+    }
+  }
+
+  // 未归档的物品
+  function getActiveItems(store: Store): StockItem[] {
+    return Array.from(store.stockData.values()).filter(item => !item.archived)
+  }
+
+  // 检查名称或别名是否可用，可用时返回 null
+  function checkAlias(store: Store, alias: string, itemName?: string, session?: Session): string | null {
+    if (/[\s+\-=:]/.test(alias)) return getText(store, session, 'item.invalid-alias', { alias })
+    const key = alias.toLowerCase()
+    const owner = store.aliasMap.get(key)
+      ?? Array.from(store.stockData.keys()).find(name => name.toLowerCase() === key)
+    if (owner && owner !== itemName) return getText(store, session, 'item.alias-conflict', { alias, item: owner })
+    // 改名前的名称仍对应原物品的记录，不能再用作新物品的名称
+    const renamed = store.renamedItems.get(alias)
+    if (renamed && renamed !== itemName) return getText(store, session, 'item.former-name', { alias, item: renamed })
+    return null
+  }
+
+  async function addItem(store: Store, name: string, aliases: string[], session?: Session): Promise<string> {
+    if (store.stockData.has(name)) return getText(store, session, 'item.exists', { item: name })
+    const allAliases = Array.from(new Set([name, ...aliases]))
+    for (const alias of allAliases) {
+      const conflict = checkAlias(store, alias, undefined, session)
+      if (conflict) return conflict
+    }
+
+    const item: StockItem = { name, aliases: allAliases, count: 0, totalAdded: 0, totalConsumed: 0, managed: true }
+    await saveStockItems(store, [item])
+    rebuildAliasMap(store)
+    ctx.logger('stock-manager').info(`库存点 ${store.id} 添加物品 ${name}`)
+    return getText(store, session, 'item.added', { item: name, aliases: joinList(store, session, allAliases), amount: formatAmount(store, name, 0) })
+  }
+
+  async function updateAliases(store: Store, itemName: string, action: 'add' | 'remove', aliases: string[], session?: Session): Promise<string> {
+    const item = store.stockData.get(itemName)!
+    const has = (alias: string) => item.aliases.some(existing => existing.toLowerCase() === alias.toLowerCase())
+    let next: string[]
+    if (action === 'add') {
+      const added = Array.from(new Set(aliases.filter(alias => !has(alias))))
+      if (added.length === 0) return getText(store, session, 'item.aliases-exist', { item: itemName })
+      for (const alias of added) {
+        const conflict = checkAlias(store, alias, itemName, session)
+        if (conflict) return conflict
+      }
+      next = [...item.aliases, ...added]
+    } else {
+      const removed = aliases.map(alias => alias.toLowerCase())
+      next = item.aliases.filter(alias => !removed.includes(alias.toLowerCase()))
+      if (next.length === item.aliases.length) return getText(store, session, 'item.aliases-missing', { item: itemName })
+      if (next.length === 0) return getText(store, session, 'item.last-alias')
+    }
+
+    await saveStockItems(store, [{ ...item, aliases: next, managed: true }])
+    rebuildAliasMap(store)
+    return getText(store, session, 'item.aliases', { item: itemName, aliases: joinList(store, session, next) })
+  }
+
+  async function renameItem(store: Store, itemName: string, newName: string, session?: Session): Promise<string> {
+    if (newName === itemName) return getText(store, session, 'item.same-name')
+    if (store.stockData.has(newName)) return getText(store, session, 'item.exists', { item: newName })
+    const conflict = checkAlias(store, newName, itemName, session)
+    if (conflict) return conflict
+
+    const item = store.stockData.get(itemName)!
+    const renamed: StockItem = {
+      ...item,
+      name: newName,
+      aliases: item.aliases.includes(newName) ? item.aliases : [...item.aliases, newName],
+      managed: true,
+      // 记录仍保存旧名称，通过 formerNames 归入新名称
+      formerNames: [...(item.formerNames || []).filter(name => name !== newName), itemName],
+    }
+    // 先保存新名称，再删除旧名称，中途失败时不会丢失物品
+    await saveStockItems(store, [renamed])
+    await storage.removeItem(store.id, itemName)
+    store.stockData.delete(itemName)
+    const level = store.stockLevels.get(itemName)
+    store.stockLevels.delete(itemName)
+    if (level) store.stockLevels.set(newName, level)
+    rebuildAliasMap(store)
+    ctx.logger('stock-manager').info(`库存点 ${store.id} 将物品 ${itemName} 改名为 ${newName}`)
+    return getText(store, session, 'item.renamed', { item: itemName, name: newName })
+  }
+
+  async function archiveItem(store: Store, itemName: string, restore: boolean, session?: Session): Promise<string> {
+    const item = store.stockData.get(itemName)!
+    if (!!item.archived !== restore) return getText(store, session, restore ? 'item.not-archived' : 'item.already-archived', { item: itemName })
+
+    const { archived, ...rest } = item
+    await saveStockItems(store, [restore ? { ...rest, managed: true } : { ...rest, managed: true, archived: true }])
+    ctx.logger('stock-manager').info(`库存点 ${store.id} ${restore ? '恢复' : '归档'}物品 ${itemName}`)
+    return restore
+      ? getText(store, session, 'item.restored', { item: itemName, amount: formatAmount(store, itemName, item.count) })
+      : getText(store, session, 'item.archived', { item: itemName })
+  }
+
+  // 根据名称或别名查找物品
+  function resolveItemName(store: Store, text: string): string | null {
+    return getItemName(store, text) || (store.stockData.has(text) ? text : null)
+  }
+
+  // 物品的当前状态及其配置，供 HTTP API、控制台和 stock 服务使用
+  function toItemView(store: Store, item: StockItem): ItemView {
+    const itemConfig = getItemConfig(store, item.name)
+    return {
+      ...item,
+      unit: getUnit(store, item.name),
+      price: itemConfig?.price,
+      cost: itemConfig?.cost,
+      lowThreshold: itemConfig?.lowThreshold,
+      criticalThreshold: itemConfig?.criticalThreshold,
+      level: getStockLevel(store, item),
+    }
+  }
+
+  // 按ID查找已创建的库存点，供 HTTP API 和控制台使用
+  async function findStore(storeId: string): Promise<Store | string> {
+    const store = stores.get(storeId)
+    if (!store) return getText(null, undefined, 'general.store-not-found', { store: storeId })
+    await ensureInitialized(store)
+    return checkAvailable(store) || store
+  }
+
+  // 最近若干天每个物品每天的消耗量（计入排行榜且未撤销的操作）
+  async function getConsumptionSeries(store: Store, days: number): Promise<ConsumptionSeries> {
+    const count = Math.min(Math.max(Math.floor(days) || 30, 1), 366)
+    const now = new Date()
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - count + 1)
+    const dates = Array.from({ length: count }, (_, index) => {
+      return formatTime(new Date(start.getFullYear(), start.getMonth(), start.getDate() + index).getTime()).slice(0, 10)
+    })
+    const series: ConsumptionSeries = {
+      dates,
+      items: Array.from(store.stockData.keys(), name => ({ name, values: dates.map(() => 0) })),
+    }
+    for (const record of await getRecords(store)) {
+      if (!isConsumption(store, record)) continue
+      const index = dates.indexOf(formatTime(record.timestamp).slice(0, 10))
+      const item = series.items.find(item => item.name === getRecordItemName(store, record))
+      if (index !== -1 && item) item.values[index] -= record.change
+    }
+    return series
+  }
+
+  const api: StockApi = {
+    listStores() {
+      return Array.from(stores.keys())
+    },
+
+    async getItems(storeId) {
+      const store = await findStore(storeId)
+      if (typeof store === 'string') return store
+      return Array.from(store.stockData.values(), item => toItemView(store, item))
+    },
+
+    // 按时间从新到旧返回记录，默认最多 100 条
+    async getRecords(storeId, filter: RecordFilter) {
+      const store = await findStore(storeId)
+      if (typeof store === 'string') return store
+      const range = resolveTimeRange(store, undefined, undefined, filter.from, filter.to)
+      if (typeof range === 'string') return range
+      const itemName = filter.item ? resolveItemName(store, filter.item) : undefined
+      if (itemName === null) return getText(store, undefined, 'general.item-not-found-named', { item: filter.item })
+      const limit = Math.min(Math.max(Math.floor(filter.limit || 100), 1), 1000)
+      return (await getRecords(store))
+        .filter(r => (!itemName || getRecordItemName(store, r) === itemName) && (!filter.user || r.userId === filter.user) && isInRange(r.timestamp, range))
+        .slice(-limit)
+        .reverse()
+    },
+
+    async getRanking(storeId, item, type, filter: RecordFilter) {
+      const store = await findStore(storeId)
+      if (typeof store === 'string') return store
+      const itemName = resolveItemName(store, item)
+      if (!itemName) return getText(store, undefined, 'general.item-not-found-named', { item })
+      const range = resolveTimeRange(store, undefined, undefined, filter.from, filter.to)
+      if (typeof range === 'string') return range
+      return getRankingStats(store, itemName, type, range)
+    },
+
+    async getConsumption(storeId, days) {
+      const store = await findStore(storeId)
+      if (typeof store === 'string') return store
+      return getConsumptionSeries(store, days)
+    },
+
+    // 与聊天中的操作走同一流程，低库存提醒发送到库存点的群
+    async operate(storeId, actor, operations: OperationInput[]) {
+      const store = await findStore(storeId)
+      if (typeof store === 'string') return store
+      if (!Array.isArray(operations) || !operations.length) return getText(store, undefined, 'api.no-operations')
+
+      const ops: Operation[] = []
+      for (const input of operations) {
+        const itemName = typeof input?.item === 'string' ? resolveItemName(store, input.item) : null
+        if (!itemName) return getText(store, undefined, 'general.item-not-found-named', { item: input?.item })
+        if (!['+', '-', '='].includes(input.operation)) return getText(store, undefined, 'api.invalid-operation')
+        if (typeof input.value !== 'number') return getText(store, undefined, 'api.invalid-value')
+        const invalid = checkQuantity(store, itemName, input.value)
+        if (invalid) return invalid
+        const op: Operation = { itemName, operation: input.operation, value: input.value, noRank: !!input.noRank }
+        if (input.expiry !== undefined) {
+          if (!isTrackingExpiry(store, itemName)) return getText(store, undefined, 'operation.expiry-disabled', { item: itemName })
+          if (op.operation !== '+') return getText(store, undefined, 'operation.expiry-restock-only')
+          const expiry = typeof input.expiry === 'string' ? parseExpiry(input.expiry) : null
+          if (expiry === null) return getText(store, undefined, 'operation.invalid-expiry')
+          op.expiry = expiry
+        }
+        ops.push(op)
+      }
+
+      let result: OperationResult | string
+      try {
+        result = await withLock(store, () => applyOperations(store, actor, ops))
+      } catch (err) {
+        ctx.logger('stock-manager').error('保存操作失败:', err)
+        return getText(store, undefined, 'api.failed')
+      }
+      if (typeof result === 'string') return result
+
+      ctx.logger('stock-manager').info(`${actor.userName} 通过 ${actor.userId} 接口在库存点 ${store.id} 执行 ${ops.map(op => `${op.itemName}${op.operation}${op.value}`).join(' ')}`)
+      for (const alert of result.alerts) {
+        await sendToGroups(store, alert)
+      }
+      const response: OperationResponse = {
+        changes: result.results.map(({ op, change, balance }) => ({ item: op.itemName, change, balance })),
+      }
+      if (result.records.length) response.ref = result.records[0].ref
+      return response
+    },
+  }
+
+  if (config.apiToken) {
+    ctx.inject(['server'], (ctx) => registerHttpApi(ctx, config.apiPath, config.apiToken!, api))
+  }
+  ctx.inject(['console'], (ctx) => registerConsole(ctx, api))
+
+  // 供其他插件使用的 stock 服务，操作与 HTTP API 相同，会触发低库存提醒和 stock/* 事件
+  const service: StockService = {
+    listStores: () => api.listStores(),
+
+    getStoreId(channelId) {
+      return resolveStore(channelId)?.id ?? null
+    },
+
+    async getItem(storeId, item) {
+      const store = await unwrap(findStore(storeId))
+      const itemName = resolveItemName(store, item)
+      const stockItem = itemName ? store.stockData.get(itemName) : undefined
+      return stockItem && toItemView(store, stockItem)
+    },
+
+    getItems: storeId => unwrap(api.getItems(storeId)),
+    getRecords: (storeId, filter = {}) => unwrap(api.getRecords(storeId, filter)),
+    getRanking: (storeId, item, type, filter = {}) => unwrap(api.getRanking(storeId, item, type, filter)),
+    operate: (storeId, actor, operations) => unwrap(api.operate(storeId, actor, operations)),
+  }
+  ctx.set('stock', service)
+
+  // 未配置白名单时所有群共用默认库存点，记住使用过库存操作或查询的群作为每日汇总的接收群
+  function rememberChannel(store: Store, channelId: string) {
+    if (store.id !== DEFAULT_STORE_ID || config.whitelistGroups.length > 0 || store.groups.includes(channelId)) return
+    store.groups.push(channelId)
+  }
+
   // 监听所有消息
   ctx.on('message', async (session: Session) => {
     // 只处理群消息
     if (!session.channelId || session.channelId === session.userId) return
 
-    // 检查白名单
-    if (!isWhitelisted(session.channelId)) return
+    // 检查白名单并定位库存点
+    const store = resolveStore(session.channelId)
+    if (!store) return
 
     // 等待初始化完成
-    await ensureInitialized()
+    await ensureInitialized(store)
 
     const text = (session.content || '').trim()
     if (!text) return
 
-    // 尝试解析操作
-    const operation = parseOperation(text)
-    if (operation) {
-      await handleOperation(session, operation)
+    // 尝试解析操作（单个或批量）
+    const operations = parseOperations(store, text, session)
+    if (typeof operations === 'string') {
+      await session.send(operations)
+      return
+    }
+    if (operations) {
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) {
+        await session.send(unavailable)
+        return
+      }
+      // 盘点期间 = 操作视为录入盘点数量
+      if (store.audit && operations.some(op => op.operation === '=')) {
+        if (operations.some(op => op.operation !== '=')) {
+          await session.send(getText(store, session, 'audit.mixed'))
+          return
+        }
+        await withLock(store, () => recordAuditCounts(session, store, operations))
+        rememberChannel(store, session.channelId)
+        return
+      }
+      // 批量操作中任一操作无权限时整体拒绝
+      for (const operation of operations) {
+        const denied = await checkOperationPermission(session, store, operation)
+        if (denied) {
+          await session.send(denied)
+          return
+        }
+      }
+      await withLock(store, () => handleOperations(session, store, operations))
+      rememberChannel(store, session.channelId)
       return
     }
 
     // 尝试解析查询
-    const query = isQueryMessage(text)
+    const query = isQueryMessage(store, text)
     if (query) {
-      await handleQuery(session, query.itemName)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) {
+        await session.send(unavailable)
+        return
+      }
+      await handleQuery(session, store, query.itemName)
+      rememberChannel(store, session.channelId)
       return
     }
   })
 
   // 注册隐藏的管理指令（用于设置库存等）
-  const stockCmd = ctx.command('stock', '库存管理')
+  const stockCmd = ctx.command('stock')
   if ('hidden' in stockCmd) {
     (stockCmd as any).hidden = true
   }
   
   stockCmd
-    .subcommand('.set <item:string> <count:number>', '设置库存数量')
+    .subcommand('.set <item:string> <count:number>')
     .action(async ({ session }: { session?: Session }, item?: string, count?: number) => {
       if (!session || !session.channelId) return
-      if (!isWhitelisted(session.channelId)) return '此群不在白名单中'
-      if (!item) return '请指定物品'
-      if (count === undefined) return '请指定数量'
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+      if (!item) return getText(store, session, 'general.item-required')
+      if (count === undefined) return getText(store, session, 'set.count-required')
+      if (config.roleControl && !await isAdmin(session)) {
+        ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试执行 stock.set，权限不足`)
+        return getText(store, session, 'permission.stock-set')
+      }
 
-      await ensureInitialized()
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
       
-      const itemName = getItemName(item)
-      if (!itemName) return '未找到该物品'
+      const itemName = getItemName(store, item)
+      if (!itemName) return getText(store, session, 'general.item-not-found')
+      const invalid = checkQuantity(store, itemName, count, session)
+      if (invalid) return invalid
 
-      const stockItem = stockData.get(itemName)
-      if (!stockItem) return '物品不存在'
+      return withLock(store, () => setStock(session, store, itemName, count))
+    })
 
-      stockItem.count = count
+  stockCmd
+    .subcommand('.writeoff [item:string] [expiry:string]')
+    .action(async ({ session }: { session?: Session }, item?: string, expiry?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+      if (config.roleControl && !await isAdmin(session)) {
+        ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试执行 stock.writeoff，权限不足`)
+        return getText(store, session, 'permission.writeoff')
+      }
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      // 只填写日期时报损所有物品中该日期的批次
+      if (item && !expiry && parseExpiry(item) !== null) [item, expiry] = [undefined, item]
+      const itemName = item ? getItemName(store, item) : undefined
+      if (itemName === null) return getText(store, session, 'general.item-not-found')
+      if (itemName && !isTrackingExpiry(store, itemName)) return getText(store, session, 'operation.expiry-disabled', { item: itemName })
+      const date = expiry === undefined ? undefined : parseExpiry(expiry)
+      if (date === null) return getText(store, session, 'operation.invalid-expiry')
+
+      return withLock(store, () => writeOffLots(session, store, itemName, date))
+    })
+
+  stockCmd
+    .subcommand('.shopping [action:string] [operations:text]')
+    .action(async ({ session }: { session?: Session }, action?: string, operations?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      if (!action) return withLock(store, () => showShoppingList(session, store))
+      if (!['claim', 'done', 'cancel'].includes(action)) return getText(store, session, 'shopping.invalid-action')
+      if (action === 'claim' && config.roleControl && await getRole(session) === 'member') {
+        ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试认领采购单，权限不足`)
+        return getText(store, session, 'permission.shopping')
+      }
+
+      let ops: Operation[] = []
+      if (action === 'done') {
+        const parsed = operations ? parseOperations(store, operations, session) : null
+        if (!parsed) return getText(store, session, 'shopping.operations-required')
+        if (typeof parsed === 'string') return parsed
+        if (parsed.some(op => op.operation !== '+')) return getText(store, session, 'shopping.add-only')
+        for (const op of parsed) {
+          const denied = await checkOperationPermission(session, store, op)
+          if (denied) return denied
+        }
+        ops = parsed
+      }
+
+      return withLock(store, async () => {
+        if (action === 'claim') return claimOrder(session, store)
+        const order = await getOpenOrder(store)
+        if (!order) return getText(store, session, 'shopping.none')
+        const denied = await checkOrderOwner(session, store, order)
+        if (denied) return denied
+        if (action === 'done') return handleOperations(session, store, ops, order)
+
+        const failed = await saveOrder(store, { ...order, status: 'cancelled', closedAt: Date.now() }, session)
+        if (failed) return failed
+        ctx.logger('stock-manager').info(`用户 ${session.userId} 取消库存点 ${store.id} 的采购单 #${order.id}`)
+        return getText(store, session, 'shopping.cancelled', { id: order.id })
+      })
+    })
+
+  stockCmd
+    .subcommand('.undo [ref:text]')
+    .action(async ({ session }: { session?: Session }, ref?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+      // 撤销会把消耗从排行榜和账单中移除，与 -r 操作同样仅限管理员
+      if (config.roleControl && !await isAdmin(session)) {
+        ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试执行 stock.undo，权限不足`)
+        return getText(store, session, 'permission.undo')
+      }
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      return withLock(store, () => undoOperation(session, store, ref))
+    })
+
+  stockCmd
+    .subcommand('.restore [backup:string]')
+    .action(async ({ session }: { session?: Session }, backup?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+      if (!await canRestore(session)) return getText(store, session, 'permission.restore')
+      if (!storage.listBackups || !storage.restoreBackup) return getText(store, session, 'restore.unsupported')
+
+      await ensureInitialized(store)
+      const backups = await storage.listBackups(store.id)
+      if (backups.length === 0) return getText(store, session, 'restore.empty')
+      if (!backup) {
+        return getText(store, session, 'restore.list', { backups: backups.map((name, index) => `${index + 1}. ${name}`).join('\n') })
+      }
+
+      const name = /^\d+$/.test(backup) ? backups[parseInt(backup, 10) - 1] : backup
+      if (!name || !backups.includes(name)) return getText(store, session, 'restore.not-found')
+
+      return withLock(store, async () => {
+        try {
+          await storage.restoreBackup!(store.id, name)
+        } catch (err) {
+          ctx.logger('stock-manager').error('恢复备份失败:', err)
+          return getText(store, session, 'restore.failed')
+        }
+        await reloadStore(store)
+        ctx.logger('stock-manager').info(`用户 ${session.userId} 将库存点 ${store.id} 恢复到备份 ${name}`)
+        return checkAvailable(store, session) || getText(store, session, 'restore.success', { name })
+      })
+    })
+
+  stockCmd
+    .subcommand('.verify <code:text>')
+    .action(async ({ session }: { session?: Session }, code?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+      if (!code) return getText(store, session, 'verify.code-required')
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      return verifyCode(store, code, session)
+    })
+
+  stockCmd
+    .subcommand('.bill [user:string]')
+    .option('period', '-p <period:string>', { fallback: 'month' })
+    .option('from', '--from <date:string>')
+    .option('to', '--to <date:string>')
+    .action(async ({ session, options }: { session?: Session; options?: { period?: string; from?: string; to?: string } }, user?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+
+      const range = resolveTimeRange(store, session, options?.period, options?.from, options?.to)
+      if (typeof range === 'string') return range
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      // 支持直接 @ 用户或填写用户ID
+      const userId = user ? (h.select(user, 'at')[0]?.attrs.id ?? user.trim()) : undefined
+      const bill = await getBill(store, range, userId, session)
+      return getText(store, session, 'bill.title', { range: describeTimeRange(store, session, options?.period, options?.from, options?.to), bill })
+    })
+
+  stockCmd
+    .subcommand('.me [user:string]')
+    .option('period', '-p <period:string>', { fallback: 'all' })
+    .option('from', '--from <date:string>')
+    .option('to', '--to <date:string>')
+    .action(async ({ session, options }: { session?: Session; options?: { period?: string; from?: string; to?: string } }, user?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+
+      const range = resolveTimeRange(store, session, options?.period, options?.from, options?.to)
+      if (typeof range === 'string') return range
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      // 支持直接 @ 用户或填写用户ID，不填写时查看自己
+      const userId = user ? (h.select(user, 'at')[0]?.attrs.id ?? user.trim()) : session.userId
+      if (!userId) return
+      return getUserReport(store, userId, range, describeTimeRange(store, session, options?.period, options?.from, options?.to), session)
+    })
+
+  stockCmd
+    .subcommand('.forecast [item:string]')
+    .option('days', '-d <days:natural>')
+    .action(async ({ session, options }: { session?: Session; options?: { days?: number } }, item?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      const itemName = item ? resolveItemName(store, item) : null
+      if (item && !itemName) return getText(store, session, 'general.item-not-found')
+      return getForecastReport(store, itemName, options?.days || config.forecastDays, session)
+    })
+
+  stockCmd
+    .subcommand('.trend [item:string]')
+    .option('days', '-d <days:natural>', { fallback: 30 })
+    .action(async ({ session, options }: { session?: Session; options?: { days?: number } }, item?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      const itemName = item ? resolveItemName(store, item) : null
+      if (item && !itemName) return getText(store, session, 'general.item-not-found')
+
+      const series = await getConsumptionSeries(store, options?.days || 30)
+      // 不指定物品时显示所有未归档的物品
+      const items = series.items
+        .filter(entry => itemName ? entry.name === itemName : !store.stockData.get(entry.name)?.archived)
+        .map(entry => ({
+          legend: getText(store, session, 'trend.legend', {
+            item: entry.name,
+            total: formatAmount(store, entry.name, roundQuantity(entry.values.reduce((sum, value) => sum + value, 0))),
+          }),
+          values: entry.values,
+        }))
+      const title = itemName
+        ? getText(store, session, 'trend.item-title', { item: itemName, days: series.dates.length })
+        : getText(store, session, 'trend.title', { days: series.dates.length })
+      // 无法生成图片时只发送标题和各物品的消耗合计
+      return await toImage(ctx, renderTrend({ title, dates: series.dates, items }))
+        ?? [title, ...items.map(item => item.legend)].join('\n')
+    })
+
+  stockCmd
+    .subcommand('.export')
+    .option('format', '-f <format:string>', { fallback: 'csv' })
+    .option('period', '-p <period:string>', { fallback: 'all' })
+    .option('from', '--from <date:string>')
+    .option('to', '--to <date:string>')
+    .action(async ({ session, options }: { session?: Session; options?: { format?: string; period?: string; from?: string; to?: string } }) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+
+      const format = options?.format || 'csv'
+      if (format !== 'csv' && format !== 'json') return getText(store, session, 'export.invalid-format')
+
+      const range = resolveTimeRange(store, session, options?.period, options?.from, options?.to)
+      if (typeof range === 'string') return range
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      return exportData(store, format, range)
+    })
+
+  stockCmd
+    .subcommand('.import [csv:text]')
+    .action(async ({ session }: { session?: Session }, csv?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+      if (config.roleControl && !await isAdmin(session)) {
+        ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试执行 stock.import，权限不足`)
+        return getText(store, session, 'permission.import')
+      }
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      let text: string | null
       try {
-        await saveStockItem(stockItem)
-        const opTimestamp = Date.now()
-        const getCode = createGetCode({
-          timestamp: opTimestamp,
-          userId: session.userId || 'unknown',
-          itemName,
-        })
-        return `已将${itemName}库存设置为${count}瓶\n\n${getCode}`
+        text = await readImportText(session, csv)
       } catch (err) {
-        ctx.logger('stock-manager').error('设置库存失败:', err)
-        return '设置库存失败，请稍后重试'
+        ctx.logger('stock-manager').error('读取导入文件失败:', err)
+        return getText(store, session, 'import.read-failed')
       }
+      if (!text) return getText(store, session, 'import.required')
+
+      const counts = parseStocktakeCsv(store, text, session)
+      if (typeof counts === 'string') return counts
+
+      return withLock(store, () => importStocktake(session, store, counts))
+    })
+
+  stockCmd
+    .subcommand('.audit [action:string]')
+    .option('period', '-p <period:string>', { fallback: 'month' })
+    .option('from', '--from <date:string>')
+    .option('to', '--to <date:string>')
+    .action(async ({ session, options }: { session?: Session; options?: { period?: string; from?: string; to?: string } }, action?: string) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
+
+      if (!action || action === 'status') {
+        return store.audit ? describeAudit(store, store.audit, session) : getText(store, session, 'audit.idle')
+      }
+
+      if (action === 'report') {
+        const range = resolveTimeRange(store, session, options?.period, options?.from, options?.to)
+        if (typeof range === 'string') return range
+        const report = await getAuditReport(store, range, session)
+        return getText(store, session, 'audit.report', { range: describeTimeRange(store, session, options?.period, options?.from, options?.to), report })
+      }
+
+      if (!['start', 'finish', 'cancel'].includes(action)) return getText(store, session, 'audit.invalid-action')
+      if (config.roleControl && !await isAdmin(session)) {
+        ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试执行 stock.audit ${action}，权限不足`)
+        return getText(store, session, 'permission.audit')
+      }
+
+      return withLock(store, async () => {
+        if (action === 'start') {
+          if (store.audit) return getText(store, session, 'audit.running', { time: formatTime(store.audit.id) })
+          store.audit = { id: Date.now(), userId: session.userId || 'unknown', counts: new Map() }
+          ctx.logger('stock-manager').info(`用户 ${session.userId} 开始库存点 ${store.id} 的盘点`)
+          return getText(store, session, 'audit.started', { items: joinList(store, session, getUncountedItems(store, store.audit)) })
+        }
+        if (action === 'cancel') {
+          if (!store.audit) return getText(store, session, 'audit.none')
+          store.audit = null
+          return getText(store, session, 'audit.cancelled')
+        }
+        return finishAudit(session, store)
+      })
+    })
+
+  // 物品管理指令的公共检查，通过时返回库存点
+  async function prepareItemCommand(session: Session, command: string): Promise<Store | string> {
+    const store = resolveStore(session.channelId!)
+    if (!store) return getText(null, session, 'general.not-whitelisted')
+    if (config.roleControl && !await isAdmin(session)) {
+      ctx.logger('stock-manager').warn(`用户 ${session.userId} 在库存点 ${store.id} 尝试执行 ${command}，权限不足`)
+      return getText(store, session, 'permission.items')
+    }
+
+    await ensureInitialized(store)
+    return checkAvailable(store, session) || store
+  }
+
+  stockCmd
+    .subcommand('.add-item <name:string> [...aliases:string]')
+    .action(async ({ session }: { session?: Session }, name?: string, ...aliases: string[]) => {
+      if (!session || !session.channelId) return
+      if (!name) return getText(null, session, 'item.name-required')
+      const store = await prepareItemCommand(session, 'stock.add-item')
+      if (typeof store === 'string') return store
+
+      return withLock(store, () => addItem(store, name, aliases, session))
     })
 
   stockCmd
-    .subcommand('.list', '查看所有物品')
-    .action(async ({ session }: { session?: Session }) => {
+    .subcommand('.alias <action:string> <item:string> [...aliases:string]')
+    .action(async ({ session }: { session?: Session }, action?: string, item?: string, ...aliases: string[]) => {
       if (!session || !session.channelId) return
-      if (!isWhitelisted(session.channelId)) return '此群不在白名单中'
+      if (action !== 'add' && action !== 'remove') return getText(null, session, 'item.invalid-alias-action')
+      if (!item || aliases.length === 0) return getText(null, session, 'item.alias-required')
+      const store = await prepareItemCommand(session, 'stock.alias')
+      if (typeof store === 'string') return store
+
+      return withLock(store, async () => {
+        const itemName = resolveItemName(store, item)
+        if (!itemName) return getText(store, session, 'general.item-not-found')
+        return updateAliases(store, itemName, action, aliases, session)
+      })
+    })
 
-      await ensureInitialized()
+  stockCmd
+    .subcommand('.rename <item:string> <name:string>')
+    .action(async ({ session }: { session?: Session }, item?: string, name?: string) => {
+      if (!session || !session.channelId) return
+      if (!item || !name) return getText(null, session, 'item.rename-required')
+      const store = await prepareItemCommand(session, 'stock.rename')
+      if (typeof store === 'string') return store
+
+      return withLock(store, async () => {
+        const itemName = resolveItemName(store, item)
+        if (!itemName) return getText(store, session, 'general.item-not-found')
+        return renameItem(store, itemName, name, session)
+      })
+    })
+
+  stockCmd
+    .subcommand('.archive <item:string>')
+    .option('restore', '-r')
+    .action(async ({ session, options }: { session?: Session; options?: { restore?: boolean } }, item?: string) => {
+      if (!session || !session.channelId) return
+      if (!item) return getText(null, session, 'general.item-required')
+      const store = await prepareItemCommand(session, 'stock.archive')
+      if (typeof store === 'string') return store
+
+      return withLock(store, async () => {
+        const itemName = resolveItemName(store, item)
+        if (!itemName) return getText(store, session, 'general.item-not-found')
+        return archiveItem(store, itemName, !!options?.restore, session)
+      })
+    })
+
+  stockCmd
+    .subcommand('.list')
+    .option('image', '-i')
+    .action(async ({ session, options }: { session?: Session; options?: { image?: boolean } }) => {
+      if (!session || !session.channelId) return
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
+
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
       
-      const items = Array.from(stockData.values())
-      if (items.length === 0) return '暂无物品'
+      const items = getActiveItems(store)
+      const archived = Array.from(store.stockData.values()).filter(item => item.archived)
+      if (items.length === 0 && archived.length === 0) return getText(store, session, 'general.no-items')
+
+      // 进行中的采购单附在列表后，避免多人重复采购
+      const order = await getOpenOrder(store)
+      if (options?.image) {
+        const records = await getRecords(store)
+        const cards = items.map(item => getStockCard(store, item, records, 0, session))
+        const image = await toImage(ctx, renderStockCards(getText(store, session, 'list.card-title'), cards, getText(store, session, 'general.no-items')))
+        if (image) {
+          if (order) await session.send(describeOrder(store, order, session))
+          return image
+        }
+      }
 
-      return items
-        .map(item => `${item.name}（别名：${item.aliases.join('、')}）当前库存：${item.count}瓶`)
-        .join('\n')
+      const lines = items.map(item => getText(store, session, 'list.item', {
+        item: item.name,
+        aliases: joinList(store, session, item.aliases),
+        amount: formatAmount(store, item.name, item.count),
+      }))
+      if (archived.length > 0) lines.push(getText(store, session, 'list.archived', { items: joinList(store, session, archived.map(item => item.name)) }))
+      if (order) lines.push('', describeOrder(store, order, session))
+      return lines.join('\n')
     })
 
   // 注册排行榜查询指令
-  ctx.command('rank [item:string]', '查询排行榜')
-    .option('type', '-t <type:string>  排行榜类型：consume（消耗）或 add（累计）', { fallback: 'consume' })
-    .action(async ({ session, options }: { session?: Session; options?: { type?: string } }, item?: string) => {
+  ctx.command('rank [item:string]')
+    .option('type', '-t <type:string>', { fallback: 'consume' })
+    .option('period', '-p <period:string>', { fallback: 'all' })
+    .option('from', '--from <date:string>')
+    .option('to', '--to <date:string>')
+    .option('image', '-i')
+    .action(async ({ session, options }: { session?: Session; options?: { type?: string; period?: string; from?: string; to?: string; image?: boolean } }, item?: string) => {
       if (!session || !session.channelId) return
-      if (!isWhitelisted(session.channelId)) return '此群不在白名单中'
+      const store = resolveStore(session.channelId)
+      if (!store) return getText(null, session, 'general.not-whitelisted')
 
       if (!item) {
-        return '请指定物品，例如：rank water 或 rank water -t add'
+        return getText(store, session, 'ranking.item-required')
       }
 
-      await ensureInitialized()
+      await ensureInitialized(store)
+      const unavailable = checkAvailable(store, session)
+      if (unavailable) return unavailable
 
-      const itemName = getItemName(item)
-      if (!itemName) return '未找到该物品'
+      const itemName = resolveItemName(store, item)
+      if (!itemName) return getText(store, session, 'general.item-not-found')
 
       const type = (options?.type || 'consume') as 'consume' | 'add'
       if (type !== 'consume' && type !== 'add') {
-        return '排行榜类型必须是 consume（消耗）或 add（累计）'
+        return getText(store, session, 'ranking.invalid-type')
       }
 
-      const ranking = await getRanking(itemName, type)
-      const rankingTitle = type === 'consume' ? '消耗排行榜' : '累计排行榜'
-      return `${itemName}${rankingTitle}：\n${ranking}`
+      const range = resolveTimeRange(store, session, options?.period, options?.from, options?.to)
+      if (typeof range === 'string') return range
+
+      const title = getRankingTitle(store, session, itemName, type, describeTimeRange(store, session, options?.period, options?.from, options?.to))
+      if (options?.image || config.imageReplies) {
+        const image = await getRankingImage(store, itemName, type, title, range, session)
+        if (image) return image
+      }
+      const ranking = await getRanking(store, itemName, type, range, session)
+      return getText(store, session, 'ranking.message', { title, ranking })
     })
 }
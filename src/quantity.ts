@@ -0,0 +1,49 @@
+// 数量解析，支持阿拉伯数字、小数、全角数字和中文数字（如 三、十二、两百零五、一点五、半）
+
+const DIGITS: Record<string, number> = {
+  零: 0, 〇: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9,
+}
+
+const UNITS: Record<string, number> = { 十: 10, 百: 100, 千: 1000 }
+
+// 解析中文整数，例如 十二、二十、一百零五、三千二百、一万
+function parseChineseInteger(text: string): number | null {
+  let total = 0
+  let section = 0
+  let digit: number | null = null
+  for (const char of text) {
+    if (char in DIGITS) {
+      // 连续的非零数字（如 二三）含义不明确
+      if (digit) return null
+      digit = DIGITS[char]
+    } else if (char in UNITS) {
+      // 单独的 十 表示 10
+      section += (digit ?? 1) * UNITS[char]
+      digit = null
+    } else if (char === '万') {
+      total += (section + (digit ?? 0) || 1) * 10000
+      section = 0
+      digit = null
+    } else {
+      return null
+    }
+  }
+  return total + section + (digit ?? 0)
+}
+
+// 解析非负数量，无法识别时返回 null
+export function parseQuantity(text: string): number | null {
+  // 全角数字和小数点转换为半角
+  const source = text.trim().replace(/[０-９．]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+  if (!source) return null
+  if (/^\d+(\.\d+)?$/.test(source)) return Number(source)
+  if (source === '半') return 0.5
+
+  const [integer, fraction, ...rest] = source.split('点')
+  if (rest.length || !integer) return null
+  const value = parseChineseInteger(integer)
+  if (value === null) return null
+  if (fraction === undefined) return value
+  if (!fraction || ![...fraction].every(char => char in DIGITS)) return null
+  return Number(`${value}.${[...fraction].map(char => DIGITS[char]).join('')}`)
+}
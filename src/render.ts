@@ -0,0 +1,266 @@
+import { Context, h } from 'koishi'
+import {} from 'koishi-plugin-puppeteer'
+import { initWasm, Resvg } from '@resvg/resvg-wasm'
+import { promises as fs } from 'fs'
+import { homedir } from 'os'
+import { extname, join } from 'path'
+
+// 排行榜、库存卡片和消耗趋势图的图片渲染
+// 图片先生成为 SVG，安装 puppeteer 服务时由浏览器截图为 PNG，否则使用 WebAssembly 版 resvg 离线转换，
+// 找不到系统字体或转换失败时返回 null，由调用方改为发送文字；图片中的文字均由调用方按语言格式化后传入
+
+export interface RankingImage {
+  title: string
+  unit: string
+  entries: { name: string; count: number }[]
+  // 没有记录时显示的文字
+  empty: string
+}
+
+export interface StockCard {
+  name: string
+  unit: string
+  count: number
+  level: 'ok' | 'low' | 'critical'
+  // 库存水位的文字说明
+  levelText: string
+  // 预计可用天数的说明，如 预计可用 3 天
+  daysLeft: string
+  // 累计添加和消耗的说明
+  totals: string
+  // 最近操作，每条一行
+  recent?: string[]
+}
+
+export interface TrendImage {
+  title: string
+  dates: string[]
+  // legend 为图例文字，如 纯净水（共 12瓶）
+  items: { legend: string; values: number[] }[]
+}
+
+const FONT = `'PingFang SC', 'Microsoft YaHei', 'Noto Sans CJK SC', 'WenQuanYi Micro Hei', sans-serif`
+const COLORS = ['#409eff', '#e6a23c', '#67c23a', '#f56c6c', '#909399', '#b37feb']
+const LEVEL_COLORS = {
+  ok: '#67c23a',
+  low: '#e6a23c',
+  critical: '#f56c6c',
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+// 按显示宽度截断文本，中文等全角字符按两个宽度计算
+function truncate(text: string, width: number): string {
+  let used = 0
+  for (let i = 0; i < text.length; i++) {
+    used += text.charCodeAt(i) > 0xff ? 2 : 1
+    if (used > width) return text.slice(0, i) + '…'
+  }
+  return text
+}
+
+function formatNumber(value: number): string {
+  return String(Math.round(value * 10) / 10)
+}
+
+function text(x: number, y: number, content: string, attrs = ''): string {
+  return `<text x="${x}" y="${y}" ${attrs}>${escapeXml(content)}</text>`
+}
+
+function svg(width: number, height: number, body: string[]): string {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...body,
+    '</svg>',
+  ].join('')
+}
+
+// 排行榜：前三名使用金银铜色，条形长度与数量成正比
+export function renderRanking(image: RankingImage): string {
+  const width = 480
+  const rowHeight = 36
+  const top = 64
+  const height = top + Math.max(image.entries.length, 1) * rowHeight + 16
+  const max = Math.max(1, ...image.entries.map(entry => entry.count))
+  const medals = ['#f5b800', '#a8a8a8', '#c87533']
+  const body = [text(24, 40, image.title, 'font-size="22" font-weight="bold" fill="#303133"')]
+
+  if (image.entries.length === 0) {
+    body.push(text(24, top + 24, image.empty, 'font-size="16" fill="#909399"'))
+  }
+  image.entries.forEach((entry, index) => {
+    const y = top + index * rowHeight
+    const badge = medals[index] || '#dcdfe6'
+    body.push(
+      `<circle cx="36" cy="${y + 18}" r="13" fill="${badge}"/>`,
+      text(36, y + 23, String(index + 1), `font-size="14" font-weight="bold" text-anchor="middle" fill="${index < 3 ? '#ffffff' : '#606266'}"`),
+      text(60, y + 23, truncate(entry.name, 16), 'font-size="15" fill="#303133"'),
+      `<rect x="210" y="${y + 10}" width="${Math.max(2, entry.count / max * 190)}" height="16" rx="4" fill="${COLORS[0]}"/>`,
+      text(456, y + 23, `${formatNumber(entry.count)}${image.unit}`, 'font-size="14" text-anchor="end" fill="#606266"'),
+    )
+  })
+  return svg(width, height, body)
+}
+
+// 库存卡片：每行两张，显示库存水位、预计可用天数和最近操作
+export function renderStockCards(title: string, cards: StockCard[], empty: string): string {
+  const columns = Math.min(2, Math.max(cards.length, 1))
+  const recentLines = Math.max(0, ...cards.map(card => card.recent?.length || 0))
+  const cardWidth = 260
+  const cardHeight = 128 + (recentLines ? 12 + recentLines * 20 : 0)
+  const gap = 16
+  const top = 60
+  const width = gap + columns * (cardWidth + gap)
+  const height = top + Math.ceil(Math.max(cards.length, 1) / columns) * (cardHeight + gap)
+  const body = [text(gap, 38, title, 'font-size="22" font-weight="bold" fill="#303133"')]
+
+  if (cards.length === 0) {
+    body.push(text(gap, top + 24, empty, 'font-size="16" fill="#909399"'))
+  }
+  cards.forEach((card, index) => {
+    const x = gap + (index % columns) * (cardWidth + gap)
+    const y = top + Math.floor(index / columns) * (cardHeight + gap)
+    const color = LEVEL_COLORS[card.level]
+    body.push(
+      `<rect x="${x}" y="${y}" width="${cardWidth}" height="${cardHeight}" rx="8" fill="#f5f7fa" stroke="#e4e7ed"/>`,
+      `<rect x="${x}" y="${y}" width="6" height="${cardHeight}" rx="3" fill="${color}"/>`,
+      text(x + 20, y + 30, truncate(card.name, 14), 'font-size="17" font-weight="bold" fill="#303133"'),
+      text(x + cardWidth - 16, y + 30, card.levelText, `font-size="13" text-anchor="end" fill="${color}"`),
+      text(x + 20, y + 74, String(card.count), `font-size="36" font-weight="bold" fill="${color}"`),
+      text(x + 20 + String(card.count).length * 21 + 6, y + 74, card.unit, 'font-size="14" fill="#606266"'),
+      text(x + cardWidth - 16, y + 74, card.daysLeft, 'font-size="13" text-anchor="end" fill="#606266"'),
+      text(x + 20, y + 108, truncate(card.totals, 36), 'font-size="13" fill="#909399"'),
+    )
+    card.recent?.forEach((line, row) => {
+      body.push(text(x + 20, y + 140 + row * 20, truncate(line, 32), 'font-size="13" fill="#606266"'))
+    })
+  })
+  return svg(width, height, body)
+}
+
+// 消耗趋势折线图，横轴为日期，纵轴为每日消耗量
+export function renderTrend(image: TrendImage): string {
+  const width = 680
+  const left = 48
+  const right = 24
+  const top = 60
+  const plotHeight = 220
+  const legendTop = top + plotHeight + 36
+  const legendRows = Math.ceil(Math.max(image.items.length, 1) / 3)
+  const height = legendTop + legendRows * 24 + 8
+  const plotWidth = width - left - right
+  const max = Math.max(1, ...image.items.flatMap(item => item.values))
+  const step = image.dates.length > 1 ? plotWidth / (image.dates.length - 1) : 0
+  const body = [text(left, 38, image.title, 'font-size="22" font-weight="bold" fill="#303133"')]
+
+  // 纵轴刻度和网格线
+  for (let i = 0; i <= 4; i++) {
+    const y = top + plotHeight - i / 4 * plotHeight
+    body.push(
+      `<line x1="${left}" y1="${y}" x2="${width - right}" y2="${y}" stroke="#ebeef5"/>`,
+      text(left - 8, y + 4, formatNumber(max * i / 4), 'font-size="11" text-anchor="end" fill="#909399"'),
+    )
+  }
+  // 横轴日期标签，从最后一天起等间隔显示，最多约 8 个
+  const labelEvery = Math.max(1, Math.ceil(image.dates.length / 8))
+  image.dates.forEach((date, index) => {
+    if ((image.dates.length - 1 - index) % labelEvery !== 0) return
+    body.push(text(left + index * step, top + plotHeight + 18, date.slice(5), 'font-size="11" text-anchor="middle" fill="#909399"'))
+  })
+
+  image.items.forEach((item, index) => {
+    const color = COLORS[index % COLORS.length]
+    const points = item.values.map((value, i) => `${left + i * step},${top + plotHeight - value / max * plotHeight}`).join(' ')
+    body.push(`<polyline points="${points}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>`)
+    const x = left + (index % 3) * 200
+    const y = legendTop + Math.floor(index / 3) * 24
+    body.push(
+      `<rect x="${x}" y="${y - 10}" width="12" height="12" rx="2" fill="${color}"/>`,
+      text(x + 18, y, truncate(item.legend, 26), 'font-size="13" fill="#606266"'),
+    )
+  })
+  return svg(width, height, body)
+}
+
+// WebAssembly 版 resvg 不能自行读取系统字体，从以下目录加载
+const FONT_DIRS = process.platform === 'win32'
+  ? [join(process.env.WINDIR || 'C:\\Windows', 'Fonts')]
+  : process.platform === 'darwin'
+    ? ['/System/Library/Fonts', '/Library/Fonts', join(homedir(), 'Library/Fonts')]
+    : ['/usr/share/fonts', '/usr/local/share/fonts', join(homedir(), '.local/share/fonts'), join(homedir(), '.fonts')]
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc', '.otc']
+// 优先加载中文字体，字体总大小有上限，避免占用过多内存
+const CJK_FONT = /cjk|wqy|wenquanyi|sourcehan|yahei|msyh|simhei|simsun|pingfang|hiragino|droidsansfallback/i
+const FONT_SIZE_LIMIT = 64 * 1024 * 1024
+
+async function findFonts(dir: string, depth = 0): Promise<string[]> {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => [])
+  const files: string[] = []
+  for (const entry of entries) {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory() && depth < 4) {
+      files.push(...await findFonts(path, depth + 1))
+    } else if (entry.isFile() && FONT_EXTENSIONS.includes(extname(entry.name).toLowerCase())) {
+      files.push(path)
+    }
+  }
+  return files
+}
+
+async function loadFonts(): Promise<Uint8Array[]> {
+  const files = (await Promise.all(FONT_DIRS.map(dir => findFonts(dir)))).flat()
+  files.sort((a, b) => Number(CJK_FONT.test(b)) - Number(CJK_FONT.test(a)))
+  const fonts: Uint8Array[] = []
+  let size = 0
+  for (const file of files) {
+    const { size: fileSize } = await fs.stat(file)
+    if (size + fileSize > FONT_SIZE_LIMIT) continue
+    fonts.push(await fs.readFile(file))
+    size += fileSize
+  }
+  return fonts
+}
+
+// 只初始化一次，初始化失败或没有字体时为 null
+let fonts: Promise<Uint8Array[] | null> | undefined
+
+function prepareResvg(ctx: Context): Promise<Uint8Array[] | null> {
+  fonts ??= (async () => {
+    try {
+      await initWasm(fs.readFile(require.resolve('@resvg/resvg-wasm/index_bg.wasm')))
+      const loaded = await loadFonts()
+      if (loaded.length) return loaded
+      ctx.logger('stock-manager').warn('未找到系统字体，图片模式将改为发送文字')
+    } catch (err) {
+      ctx.logger('stock-manager').warn('初始化图片渲染失败，图片模式将改为发送文字:', err)
+    }
+    return null
+  })()
+  return fonts
+}
+
+// 将 SVG 转换为图片消息元素，无法生成图片时返回 null
+export async function toImage(ctx: Context, content: string): Promise<h | null> {
+  if (ctx.puppeteer) {
+    try {
+      const html = `<html><body style="margin:0">${content}</body></html>`
+      const image = await ctx.puppeteer.render(html, (page, next) => page.$('svg').then(handle => next(handle || undefined)))
+      return h.parse(image)[0]
+    } catch (err) {
+      ctx.logger('stock-manager').warn('puppeteer 渲染图片失败，改用内置渲染:', err)
+    }
+  }
+
+  const fontBuffers = await prepareResvg(ctx)
+  if (!fontBuffers) return null
+  try {
+    const png = new Resvg(content, { font: { fontBuffers, defaultFontFamily: 'sans-serif' } }).render().asPng()
+    return h.image(Buffer.from(png), 'image/png')
+  } catch (err) {
+    ctx.logger('stock-manager').warn('转换 PNG 图片失败，改为发送文字:', err)
+    return null
+  }
+}
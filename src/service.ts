@@ -0,0 +1,36 @@
+import type { ItemView, OperationInput, OperationResponse, RankingEntry, RecordFilter } from './api'
+import type { StockRecord } from './index'
+
+declare module 'koishi' {
+  interface Context {
+    stock: StockService
+  }
+
+  interface Events {
+    // 写入一条操作记录后触发（包括聊天、HTTP API、控制台、撤销、设置库存、盘点和导入）
+    'stock/record-added'(storeId: string, record: StockRecord): void
+    // 物品库存变化后触发，item 为变化后的状态，record 为对应的操作记录
+    'stock/changed'(storeId: string, item: ItemView, record: StockRecord): void
+    // 库存水位下降到更低一级时触发，与低库存提醒同时发生
+    'stock/low'(storeId: string, item: ItemView, level: 'low' | 'critical'): void
+  }
+}
+
+// 执行操作的用户，userId 用于记录和撤销，userName 显示在排行榜和账单中
+export interface StockActor {
+  userId: string
+  userName: string
+}
+
+// 供其他插件使用的库存服务，与聊天中的操作走同一流程，出错时抛出带提示文本的异常
+export interface StockService {
+  listStores(): string[]
+  // 频道所属的库存点，频道不可用时返回 null
+  getStoreId(channelId: string): string | null
+  // 按名称或别名查找物品，不存在时返回 undefined
+  getItem(storeId: string, item: string): Promise<ItemView | undefined>
+  getItems(storeId: string): Promise<ItemView[]>
+  getRecords(storeId: string, filter?: RecordFilter): Promise<StockRecord[]>
+  getRanking(storeId: string, item: string, type: 'consume' | 'add', filter?: RecordFilter): Promise<RankingEntry[]>
+  operate(storeId: string, actor: StockActor, operations: OperationInput[]): Promise<OperationResponse>
+}
@@ -0,0 +1,583 @@
+import { Context } from 'koishi'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import * as yaml from 'yaml'
+import type { PurchaseOrder, StockItem, StockLot, StockRecord } from './index'
+
+declare module 'koishi' {
+  interface Tables {
+    stock_item: StockItemRow
+    stock_record: StockRecordRow
+    stock_order: StockOrderRow
+  }
+}
+
+export interface StockItemRow {
+  store: string
+  name: string
+  aliases: string[]
+  count: number
+  totalAdded: number
+  totalConsumed: number
+  managed: boolean
+  archived: boolean
+  formerNames: string[]
+  lots: StockLot[]
+}
+
+export interface StockRecordRow extends Omit<StockRecord, 'balance' | 'ref' | 'revertOf' | 'audit' | 'price' | 'cost' | 'lots' | 'waste' | 'order'> {
+  store: string
+  balance: number | null
+  ref: string | null
+  revertOf: number | null
+  audit: number | null
+  price: number | null
+  cost: number | null
+  lots: StockLot[] | null
+  waste: boolean | null
+  order: number | null
+}
+
+export interface StockOrderRow extends Omit<PurchaseOrder, 'claimedBy' | 'claimedByName' | 'claimedAt' | 'closedAt' | 'ref'> {
+  store: string
+  claimedBy: string | null
+  claimedByName: string | null
+  claimedAt: number | null
+  closedAt: number | null
+  ref: string | null
+}
+
+// 库存数据的持久化后端，按库存点ID隔离
+export interface StockStorage {
+  // 读取库存点的物品数据，尚无数据时返回 null
+  loadItems(storeId: string): Promise<Record<string, StockItem> | null>
+  // 保存（新增或更新）物品数据
+  saveItems(storeId: string, items: StockItem[]): Promise<void>
+  // 删除物品数据（物品改名时移除旧名称下的数据）
+  removeItem(storeId: string, name: string): Promise<void>
+  // 读取库存点的全部操作记录，按时间顺序排列
+  loadRecords(storeId: string): Promise<StockRecord[]>
+  // 追加一条操作记录
+  appendRecord(storeId: string, record: StockRecord): Promise<void>
+  // 读取库存点的全部采购单，按编号排列
+  loadOrders(storeId: string): Promise<PurchaseOrder[]>
+  // 保存（新增或更新）采购单
+  saveOrder(storeId: string, order: PurchaseOrder): Promise<void>
+  // 等待所有待写入的数据落盘
+  flush(): Promise<void>
+  // 列出库存点的物品数据备份（从新到旧），不支持备份的后端不实现
+  listBackups?(storeId: string): Promise<string[]>
+  // 使用指定备份覆盖当前物品数据
+  restoreBackup?(storeId: string, backup: string): Promise<void>
+}
+
+// 原子写入：先写入临时文件并落盘，再重命名覆盖目标文件，避免写入中途崩溃导致文件损坏
+async function writeFileAtomic(file: string, content: string) {
+  const temp = `${file}.tmp`
+  const handle = await fs.open(temp, 'w')
+  try {
+    await handle.writeFile(content, 'utf-8')
+    await handle.sync()
+  } finally {
+    await handle.close()
+  }
+  await fs.rename(temp, file)
+}
+
+// YAML 文件存储：物品保存在 items.yml，操作记录按月份追加到 ledger/<年-月>.jsonl，采购单保存在 orders.yml
+// 同一库存点的所有写入通过队列串行执行，items.yml 每次覆盖前保留最近 backupCount 份备份
+export function createYamlStorage(ctx: Context, baseDir: string, defaultStoreId: string, backupCount: number): StockStorage {
+  const logger = ctx.logger('stock-manager')
+  const itemsCache = new Map<string, Map<string, StockItem>>()
+  const ordersCache = new Map<string, PurchaseOrder[]>()
+  const writeQueues = new Map<string, Promise<void>>()
+  // 已排队但尚未开始写入 items.yml 的库存点及该次写入，用于合并连续的保存请求
+  const pendingItems = new Map<string, Promise<void>>()
+
+  const itemsFile = (storeId: string) => join(baseDir, storeId, 'items.yml')
+  const backupDir = (storeId: string) => join(baseDir, storeId, 'backups')
+  const recordsFile = (storeId: string) => join(baseDir, storeId, 'records.yml')
+  const ledgerDir = (storeId: string) => join(baseDir, storeId, 'ledger')
+  const ordersFile = (storeId: string) => join(baseDir, storeId, 'orders.yml')
+
+  // 确保数据目录存在
+  async function ensureDataDir(dir: string) {
+    try {
+      await fs.mkdir(dir, { recursive: true })
+    } catch (err) {
+      logger.error('创建数据目录失败:', err)
+      throw err
+    }
+  }
+
+  // 将旧版本的全局数据文件迁移到默认库存点目录
+  async function migrateLegacyData() {
+    const legacyFiles = ['items.yml', 'records.yml']
+    for (const file of legacyFiles) {
+      const source = join(baseDir, file)
+      const target = join(baseDir, defaultStoreId, file)
+      const exists = await fs.stat(source).then(() => true, () => false)
+      if (!exists) continue
+      const migrated = await fs.stat(target).then(() => true, () => false)
+      if (migrated) {
+        logger.warn(`默认库存点已存在 ${file}，跳过旧数据迁移`)
+        continue
+      }
+      await ensureDataDir(join(baseDir, defaultStoreId))
+      await fs.rename(source, target)
+      logger.info(`已将旧数据 ${file} 迁移到默认库存点`)
+    }
+  }
+
+  // 旧数据迁移需在任何库存点加载之前完成
+  const migratePromise = migrateLegacyData().catch(err => {
+    logger.error('迁移旧数据失败:', err)
+  })
+
+  // 将写入任务加入库存点的写入队列，任务按加入顺序依次执行
+  function enqueue(storeId: string, task: () => Promise<void>): Promise<void> {
+    const result = (writeQueues.get(storeId) || Promise.resolve()).then(task)
+    writeQueues.set(storeId, result.catch(() => {}))
+    return result
+  }
+
+  // 备份当前的 items.yml，只保留最近 backupCount 份
+  async function backupItems(storeId: string) {
+    if (backupCount <= 0) return
+    const current = await fs.readFile(itemsFile(storeId), 'utf-8').catch(() => '')
+    if (!current.trim()) return
+    const dir = backupDir(storeId)
+    await ensureDataDir(dir)
+    // 文件名精确到毫秒，按文件名排序即为时间顺序
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '')
+    const existing = await fs.readdir(dir)
+    let name = `items-${stamp}.yml`
+    for (let index = 1; existing.includes(name); index++) {
+      name = `items-${stamp}-${String(index).padStart(3, '0')}.yml`
+    }
+    await fs.writeFile(join(dir, name), current, 'utf-8')
+    const backups = (await listBackups(storeId)).slice(backupCount)
+    for (const backup of backups) {
+      await fs.unlink(join(dir, backup)).catch(() => {})
+    }
+  }
+
+  async function listBackups(storeId: string): Promise<string[]> {
+    const files = await fs.readdir(backupDir(storeId)).catch(() => [] as string[])
+    // 去掉扩展名后比较，保证同一毫秒内追加序号的备份排在后面
+    return files
+      .filter(file => /^items-.*\.yml$/.test(file))
+      .map(file => file.slice(0, -4))
+      .sort()
+      .reverse()
+      .map(name => `${name}.yml`)
+  }
+
+  // 保存库存数据
+  // 合并短时间内的多次物品修改，只写入一次；合并的请求共用这次写入的结果，写入失败时都会收到异常
+  function scheduleItemsWrite(storeId: string): Promise<void> {
+    const pending = pendingItems.get(storeId)
+    if (pending) return pending
+    const write = enqueue(storeId, () => {
+      pendingItems.delete(storeId)
+      return writeItems(storeId)
+    })
+    pendingItems.set(storeId, write)
+    return write
+  }
+
+  async function writeItems(storeId: string) {
+    try {
+      await ensureDataDir(join(baseDir, storeId))
+      await backupItems(storeId)
+      const data: Record<string, StockItem> = {}
+      itemsCache.get(storeId)?.forEach((item, name) => {
+        data[name] = item
+      })
+      const content = yaml.stringify(data, {
+        indent: 2,
+        lineWidth: 0,
+        defaultStringType: 'QUOTE_DOUBLE'
+      })
+      await writeFileAtomic(itemsFile(storeId), content)
+      logger.debug(`库存点 ${storeId} 已保存库存数据`)
+    } catch (err) {
+      logger.error(`库存点 ${storeId} 保存库存数据失败:`, err)
+      throw err
+    }
+  }
+
+  // 操作流水按月份存放，每行一条 JSON 记录，只追加不截断
+  function ledgerFile(storeId: string, timestamp: number): string {
+    const date = new Date(timestamp)
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+    return join(ledgerDir(storeId), `${month}.jsonl`)
+  }
+
+  // 将旧版本 records.yml 中的记录导入流水
+  async function importLegacyRecords(storeId: string): Promise<StockRecord[]> {
+    const file = recordsFile(storeId)
+    const content = await fs.readFile(file, 'utf-8').catch(() => '')
+    if (!content.trim()) return []
+    const records: StockRecord[] = yaml.parse(content) || []
+    for (const record of records) {
+      await fs.appendFile(ledgerFile(storeId, record.timestamp), JSON.stringify(record) + '\n', 'utf-8')
+    }
+    await fs.rename(file, `${file}.bak`)
+    logger.info(`库存点 ${storeId} 已将 ${records.length} 条旧操作记录导入流水`)
+    return records
+  }
+
+  return {
+    async loadItems(storeId) {
+      await migratePromise
+      await ensureDataDir(join(baseDir, storeId))
+      const content = await fs.readFile(itemsFile(storeId), 'utf-8').catch(() => '')
+      const cache = new Map<string, StockItem>()
+      itemsCache.set(storeId, cache)
+      if (!content.trim()) return null
+
+      // 解析失败时直接抛出，由调用方阻止写入，避免用空数据覆盖原文件
+      const data: Record<string, StockItem> = yaml.parse(content) || {}
+      for (const name in data) {
+        cache.set(name, data[name])
+      }
+      return data
+    },
+
+    // 排队写入；队列中已有尚未开始的写入时直接合并，写入时使用最新的数据
+    async saveItems(storeId, items) {
+      let cache = itemsCache.get(storeId)
+      if (!cache) itemsCache.set(storeId, cache = new Map())
+      for (const item of items) {
+        cache.set(item.name, item)
+      }
+      return scheduleItemsWrite(storeId)
+    },
+
+    async removeItem(storeId, name) {
+      itemsCache.get(storeId)?.delete(name)
+      return scheduleItemsWrite(storeId)
+    },
+
+    async loadRecords(storeId) {
+      await migratePromise
+      const dir = ledgerDir(storeId)
+      await ensureDataDir(dir)
+      const files = (await fs.readdir(dir))
+        .filter(file => file.endsWith('.jsonl'))
+        .sort()
+      const records: StockRecord[] = []
+      if (files.length === 0) {
+        records.push(...await importLegacyRecords(storeId))
+      }
+      for (const file of files) {
+        const content = await fs.readFile(join(dir, file), 'utf-8')
+        content.split('\n').forEach((line, index) => {
+          if (!line.trim()) return
+          try {
+            records.push(JSON.parse(line))
+          } catch {
+            logger.warn(`库存点 ${storeId} 流水 ${file} 第 ${index + 1} 行解析失败，已跳过`)
+          }
+        })
+      }
+      return records.sort((a, b) => a.timestamp - b.timestamp)
+    },
+
+    // 排队追加写入流水
+    async appendRecord(storeId, record) {
+      return enqueue(storeId, async () => {
+        try {
+          await ensureDataDir(ledgerDir(storeId))
+          await fs.appendFile(ledgerFile(storeId, record.timestamp), JSON.stringify(record) + '\n', 'utf-8')
+        } catch (err) {
+          logger.error(`库存点 ${storeId} 写入操作流水失败:`, err)
+          throw err
+        }
+      })
+    },
+
+    async loadOrders(storeId) {
+      await migratePromise
+      const content = await fs.readFile(ordersFile(storeId), 'utf-8').catch(() => '')
+      const orders: PurchaseOrder[] = content.trim() ? yaml.parse(content) || [] : []
+      ordersCache.set(storeId, orders)
+      return orders.slice()
+    },
+
+    // 采购单数量很少，每次保存时整体重写 orders.yml
+    async saveOrder(storeId, order) {
+      let orders = ordersCache.get(storeId)
+      if (!orders) ordersCache.set(storeId, orders = [])
+      const index = orders.findIndex(existing => existing.id === order.id)
+      if (index === -1) orders.push(order)
+      else orders[index] = order
+      return enqueue(storeId, async () => {
+        try {
+          await ensureDataDir(join(baseDir, storeId))
+          await writeFileAtomic(ordersFile(storeId), yaml.stringify(orders, { indent: 2, lineWidth: 0 }))
+        } catch (err) {
+          logger.error(`库存点 ${storeId} 保存采购单失败:`, err)
+          throw err
+        }
+      })
+    },
+
+    async flush() {
+      await Promise.all(writeQueues.values())
+    },
+
+    listBackups,
+
+    async restoreBackup(storeId, backup) {
+      return enqueue(storeId, async () => {
+        const content = await fs.readFile(join(backupDir(storeId), backup), 'utf-8')
+        // 确认备份本身可以正常解析
+        yaml.parse(content)
+        await writeFileAtomic(itemsFile(storeId), content)
+        itemsCache.delete(storeId)
+        logger.info(`库存点 ${storeId} 已从备份 ${backup} 恢复物品数据`)
+      })
+    },
+  }
+}
+
+// Koishi 数据库存储：每次修改立即写入 stock_item / stock_record 表
+export function createDatabaseStorage(ctx: Context, fallback: StockStorage): StockStorage {
+  const logger = ctx.logger('stock-manager')
+
+  ctx.model.extend('stock_item', {
+    store: 'string',
+    name: 'string',
+    aliases: 'list',
+    // 按重量等计量的物品允许小数数量
+    count: 'double',
+    totalAdded: 'double',
+    totalConsumed: 'double',
+    managed: 'boolean',
+    archived: 'boolean',
+    formerNames: 'list',
+    lots: 'json',
+  }, {
+    primary: ['store', 'name'],
+  })
+
+  function toItemRow(storeId: string, item: StockItem): StockItemRow {
+    return {
+      store: storeId,
+      name: item.name,
+      aliases: item.aliases,
+      count: item.count,
+      totalAdded: item.totalAdded,
+      totalConsumed: item.totalConsumed,
+      managed: !!item.managed,
+      archived: !!item.archived,
+      formerNames: item.formerNames || [],
+      lots: item.lots || [],
+    }
+  }
+
+  function fromItemRow(row: StockItemRow): StockItem {
+    const item: StockItem = {
+      name: row.name,
+      aliases: row.aliases || [],
+      count: row.count,
+      totalAdded: row.totalAdded,
+      totalConsumed: row.totalConsumed,
+    }
+    if (row.managed) item.managed = true
+    if (row.archived) item.archived = true
+    if (row.formerNames?.length) item.formerNames = row.formerNames
+    if (row.lots?.length) item.lots = row.lots
+    return item
+  }
+
+  ctx.model.extend('stock_record', {
+    store: 'string',
+    id: 'unsigned',
+    itemName: 'string',
+    userId: 'string',
+    userName: 'string',
+    change: 'double',
+    timestamp: 'double',
+    isRanked: 'boolean',
+    balance: { type: 'double', nullable: true },
+    ref: { type: 'string', nullable: true },
+    revertOf: { type: 'unsigned', nullable: true },
+    audit: { type: 'double', nullable: true },
+    price: { type: 'double', nullable: true },
+    cost: { type: 'double', nullable: true },
+    lots: { type: 'json', nullable: true },
+    waste: { type: 'boolean', nullable: true },
+    order: { type: 'unsigned', nullable: true },
+  }, {
+    primary: ['store', 'id'],
+  })
+
+  function toRecordRow(storeId: string, record: StockRecord): StockRecordRow {
+    return {
+      ...record,
+      store: storeId,
+      balance: record.balance ?? null,
+      ref: record.ref ?? null,
+      revertOf: record.revertOf ?? null,
+      audit: record.audit ?? null,
+      price: record.price ?? null,
+      cost: record.cost ?? null,
+      lots: record.lots ?? null,
+      waste: record.waste ?? null,
+      order: record.order ?? null,
+    }
+  }
+
+  function fromRecordRow(row: StockRecordRow): StockRecord {
+    const { store, balance, ref, revertOf, audit, price, cost, lots, waste, order, ...rest } = row
+    const record: StockRecord = rest
+    if (balance !== null) record.balance = balance
+    if (ref !== null) record.ref = ref
+    if (revertOf !== null) record.revertOf = revertOf
+    if (audit !== null) record.audit = audit
+    if (price !== null) record.price = price
+    if (cost !== null) record.cost = cost
+    if (lots !== null) record.lots = lots
+    if (waste) record.waste = true
+    if (order !== null) record.order = order
+    return record
+  }
+
+  ctx.model.extend('stock_order', {
+    store: 'string',
+    id: 'unsigned',
+    createdAt: 'double',
+    status: 'string',
+    lines: 'json',
+    claimedBy: { type: 'string', nullable: true },
+    claimedByName: { type: 'string', nullable: true },
+    claimedAt: { type: 'double', nullable: true },
+    closedAt: { type: 'double', nullable: true },
+    ref: { type: 'string', nullable: true },
+  }, {
+    primary: ['store', 'id'],
+  })
+
+  function toOrderRow(storeId: string, order: PurchaseOrder): StockOrderRow {
+    return {
+      ...order,
+      store: storeId,
+      claimedBy: order.claimedBy ?? null,
+      claimedByName: order.claimedByName ?? null,
+      claimedAt: order.claimedAt ?? null,
+      closedAt: order.closedAt ?? null,
+      ref: order.ref ?? null,
+    }
+  }
+
+  function fromOrderRow(row: StockOrderRow): PurchaseOrder {
+    const { store, claimedBy, claimedByName, claimedAt, closedAt, ref, ...rest } = row
+    const order: PurchaseOrder = rest
+    if (claimedBy !== null) order.claimedBy = claimedBy
+    if (claimedByName !== null) order.claimedByName = claimedByName
+    if (claimedAt !== null) order.claimedAt = claimedAt
+    if (closedAt !== null) order.closedAt = closedAt
+    if (ref !== null) order.ref = ref
+    return order
+  }
+
+  // 数据库中尚无该库存点的数据时，从 YAML 文件一次性导入
+  const imported = new Map<string, Promise<void>>()
+  function importFromYaml(storeId: string): Promise<void> {
+    if (!imported.has(storeId)) {
+      const task = (async () => {
+        const [hasItems] = await ctx.database.get('stock_item', { store: storeId }, { limit: 1 })
+        const [hasRecords] = await ctx.database.get('stock_record', { store: storeId }, { limit: 1 })
+        if (hasItems || hasRecords) return
+
+        const items = await fallback.loadItems(storeId)
+        const records = await fallback.loadRecords(storeId)
+        const orders = await fallback.loadOrders(storeId)
+        if (items) {
+          await ctx.database.upsert('stock_item', Object.values(items).map(item => toItemRow(storeId, item)))
+        }
+        if (records.length) {
+          await ctx.database.upsert('stock_record', records.map(record => toRecordRow(storeId, record)))
+        }
+        if (orders.length) {
+          await ctx.database.upsert('stock_order', orders.map(order => toOrderRow(storeId, order)))
+        }
+        if (items || records.length) {
+          logger.info(`库存点 ${storeId} 已从 YAML 文件导入 ${Object.keys(items || {}).length} 个物品和 ${records.length} 条操作记录`)
+        }
+      })()
+      imported.set(storeId, task)
+      // 导入失败（如数据库暂时不可用）时不缓存结果，下次加载时重试
+      task.catch(() => imported.delete(storeId))
+    }
+    return imported.get(storeId)!
+  }
+
+  return {
+    async loadItems(storeId) {
+      await importFromYaml(storeId)
+      const rows = await ctx.database.get('stock_item', { store: storeId })
+      if (rows.length === 0) return null
+      const data: Record<string, StockItem> = {}
+      for (const row of rows) {
+        data[row.name] = fromItemRow(row)
+      }
+      return data
+    },
+
+    async saveItems(storeId, items) {
+      try {
+        await ctx.database.upsert('stock_item', items.map(item => toItemRow(storeId, item)))
+      } catch (err) {
+        logger.error(`库存点 ${storeId} 保存库存数据失败:`, err)
+        throw err
+      }
+    },
+
+    async removeItem(storeId, name) {
+      try {
+        await ctx.database.remove('stock_item', { store: storeId, name })
+      } catch (err) {
+        logger.error(`库存点 ${storeId} 删除物品数据失败:`, err)
+        throw err
+      }
+    },
+
+    async loadRecords(storeId) {
+      await importFromYaml(storeId)
+      // 同一批操作的记录时间相同，按编号排序才能保证顺序稳定
+      const rows = await ctx.database.get('stock_record', { store: storeId }, { sort: { id: 'asc' } })
+      return rows.map(fromRecordRow)
+    },
+
+    async appendRecord(storeId, record) {
+      try {
+        await ctx.database.create('stock_record', toRecordRow(storeId, record))
+      } catch (err) {
+        logger.error(`库存点 ${storeId} 写入操作记录失败:`, err)
+        throw err
+      }
+    },
+
+    async loadOrders(storeId) {
+      await importFromYaml(storeId)
+      const rows = await ctx.database.get('stock_order', { store: storeId }, { sort: { id: 'asc' } })
+      return rows.map(fromOrderRow)
+    },
+
+    async saveOrder(storeId, order) {
+      try {
+        await ctx.database.upsert('stock_order', [toOrderRow(storeId, order)])
+      } catch (err) {
+        logger.error(`库存点 ${storeId} 保存采购单失败:`, err)
+        throw err
+      }
+    },
+
+    // 数据库存储每次修改都会立即写入，无需等待
+    async flush() {},
+  }
+}
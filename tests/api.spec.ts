@@ -0,0 +1,26 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createApp, removeDir, TestApp } from './utils'
+
+describe('HTTP API', () => {
+  let test: TestApp
+
+  before(async () => {
+    test = await createApp({ items: [{ name: '纯净水', aliases: ['water'] }], apiToken: 'secret' }, { server: true })
+  })
+
+  after(async () => {
+    await test.stop()
+    removeDir(test.baseDir)
+  })
+
+  it('通过 Authorization 请求头验证令牌', async () => {
+    const res = await test.app.mock.webhook.get('/stock-manager/stores', { authorization: 'Bearer secret' })
+    assert.equal(res.code, 200)
+  })
+
+  it('不接受查询参数中的令牌', async () => {
+    assert.equal((await test.app.mock.webhook.get('/stock-manager/stores?token=secret')).code, 401)
+    assert.equal((await test.app.mock.webhook.get('/stock-manager/stores', { authorization: 'Bearer wrong' })).code, 401)
+  })
+})
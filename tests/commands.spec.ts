@@ -0,0 +1,182 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { MockBot } from '@koishijs/plugin-mock'
+import { createApp, removeDir, send, sendSilently, TestApp } from './utils'
+
+const items = [
+  { name: '纯净水', aliases: ['water', '水'] },
+  { name: '可乐', aliases: ['cola'] },
+]
+
+describe('白名单', () => {
+  let test: TestApp
+
+  before(async () => {
+    test = await createApp({ items, whitelistGroups: ['g1'] })
+  })
+
+  after(async () => {
+    await test.stop()
+    removeDir(test.baseDir)
+  })
+
+  it('忽略白名单外的群中的操作和查询', async () => {
+    const outsider = test.client('alice', 'g2')
+    assert.deepEqual(await sendSilently(outsider, 'water+1'), [])
+    assert.deepEqual(await sendSilently(outsider, '水有多少'), [])
+    assert.deepEqual(await send(outsider, 'stock.list'), ['此群不在白名单中'])
+    assert.deepEqual(await send(outsider, 'rank water'), ['此群不在白名单中'])
+  })
+
+  it('白名单内的群正常使用', async () => {
+    const [reply] = await send(test.client('alice', 'g1'), 'water+1')
+    assert.match(reply, /^纯净水 \+1，当前库存：1瓶/)
+  })
+})
+
+describe('stock 和 rank 指令', () => {
+  let test: TestApp
+
+  before(async () => {
+    test = await createApp({ items, roleControl: true, admins: ['admin'], restockers: ['restocker'] })
+  })
+
+  after(async () => {
+    await test.stop()
+    removeDir(test.baseDir)
+  })
+
+  it('stock.set 和 = 操作仅限管理员', async () => {
+    const member = test.client('member')
+    assert.deepEqual(await send(member, 'stock.set water 30'), ['权限不足：只有管理员可以设置库存'])
+    assert.deepEqual(await send(member, 'water=30'), ['权限不足：只有管理员可以直接设置库存（=）'])
+    assert.deepEqual(await send(member, 'water+30'), ['权限不足：只有补货员或管理员可以增加库存（+）'])
+
+    const [reply] = await send(test.client('admin'), 'stock.set water 30')
+    assert.match(reply, /^已将纯净水库存设置为30瓶/)
+  })
+
+  it('stock.list 列出所有物品', async () => {
+    assert.deepEqual(await send(test.client('member'), 'stock.list'), [
+      '纯净水（别名：water、水）当前库存：30瓶\n可乐（别名：cola）当前库存：0瓶',
+    ])
+  })
+
+  it('rank 按消耗和累计排序', async () => {
+    await send(test.client('restocker'), 'cola+10')
+    await send(test.client('member'), 'cola-2')
+    await send(test.client('admin'), 'cola-5')
+
+    assert.deepEqual(await send(test.client('member'), 'rank cola'), ['可乐消耗排行榜：\n1. admin: 5瓶\n2. member: 2瓶'])
+    assert.deepEqual(await send(test.client('member'), 'rank cola -t add'), ['可乐累计排行榜：\n1. restocker: 10瓶'])
+    assert.deepEqual(await send(test.client('member'), 'rank'), ['请指定物品，例如：rank water 或 rank water -t add'])
+    assert.deepEqual(await send(test.client('member'), 'rank sprite'), ['未找到该物品'])
+  })
+
+  it('rank -i 离线生成 PNG 图片，找不到字体时改为文字', async () => {
+    const [reply] = await send(test.client('member'), 'rank cola -i')
+    assert.match(reply, /^(<img src="data:image\/png;base64,|可乐消耗排行榜：\n1\. admin: 5瓶)/)
+  })
+
+  it('stock.undo 仅限管理员', async () => {
+    assert.deepEqual(await send(test.client('member'), 'stock.undo'), ['权限不足：只有管理员可以撤销操作'])
+  })
+
+  it('归档的物品不能再设置库存', async () => {
+    const admin = test.client('admin')
+    const [archived] = await send(admin, 'stock.archive cola')
+    assert.match(archived, /^已归档物品 可乐/)
+    assert.deepEqual(await send(admin, 'stock.set cola 5'), ['物品 可乐 已归档，不能再修改库存'])
+    assert.deepEqual(await send(admin, 'cola+1'), ['物品 可乐 已归档，不能再修改库存'])
+  })
+})
+
+describe('stock 服务', () => {
+  let test: TestApp
+
+  before(async () => {
+    test = await createApp({ items })
+  })
+
+  after(async () => {
+    await test.stop()
+    removeDir(test.baseDir)
+  })
+
+  it('通过服务执行操作并触发事件', async () => {
+    const changes: [string, number][] = []
+    test.app.on('stock/changed', (storeId, item) => changes.push([storeId, item.count]))
+
+    const response = await test.app.stock.operate('default', { userId: 'shop', userName: '积分商城' }, [
+      { item: 'water', operation: '+', value: 6 },
+    ])
+    assert.deepEqual(response.changes, [{ item: '纯净水', change: 6, balance: 6 }])
+    assert.deepEqual(changes, [['default', 6]])
+
+    const item = await test.app.stock.getItem('default', '水')
+    assert.equal(item?.count, 6)
+    const [record] = await test.app.stock.getRecords('default', { user: 'shop' })
+    assert.equal(record.userName, '积分商城')
+    await assert.rejects(test.app.stock.operate('default', { userId: 'shop', userName: '积分商城' }, [
+      { item: 'sprite', operation: '+', value: 1 },
+    ]))
+  })
+})
+
+describe('stock.restore', () => {
+  it('未配置管理员时仅限 4 级权限用户', async () => {
+    const test = await createApp({ items }, { database: true })
+    try {
+      await test.app.mock.initUser('owner', 4)
+      await test.app.mock.initUser('member', 1)
+      await send(test.client('member'), 'water+1')
+      assert.deepEqual(await send(test.client('member'), 'stock.restore'), ['权限不足：只有管理员可以恢复备份'])
+      const [reply] = await send(test.client('owner'), 'stock.restore')
+      assert.match(reply, /^(可用的备份|暂无可用的备份)/)
+    } finally {
+      await test.stop()
+      removeDir(test.baseDir)
+    }
+  })
+
+  it('配置了管理员时其他用户不能恢复', async () => {
+    const test = await createApp({ items, admins: ['admin'] }, { database: true })
+    try {
+      await test.app.mock.initUser('owner', 4)
+      assert.deepEqual(await send(test.client('owner'), 'stock.restore'), ['权限不足：只有管理员可以恢复备份'])
+      const [reply] = await send(test.client('admin'), 'stock.restore')
+      assert.match(reply, /^(可用的备份|暂无可用的备份)/)
+    } finally {
+      await test.stop()
+      removeDir(test.baseDir)
+    }
+  })
+})
+
+describe('未配置白名单时的提醒群', () => {
+  it('只向使用过库存操作或查询的群发送提醒', async () => {
+    const test = await createApp({ items: [{ name: '纯净水', aliases: ['water'], lowThreshold: 5 }] })
+    // 模拟机器人不能在没有会话时发送消息，记录群发的目标群
+    const channels: string[] = []
+    const sendMessage = MockBot.prototype.sendMessage
+    MockBot.prototype.sendMessage = async function (channelId, content, guildId, options) {
+      if (options?.session) return sendMessage.call(this, channelId, content, guildId, options)
+      channels.push(channelId)
+      return []
+    }
+    try {
+      await sendSilently(test.client('alice', 'chat'), '今天有人去机厅吗')
+      await send(test.client('alice', 'g1'), 'water+10')
+      await send(test.client('bob', 'g2'), 'water有多少')
+
+      await test.app.stock.operate('default', { userId: 'shop', userName: '积分商城' }, [
+        { item: 'water', operation: '-', value: 6 },
+      ])
+      assert.deepEqual(channels, ['g1', 'g2'])
+    } finally {
+      MockBot.prototype.sendMessage = sendMessage
+      await test.stop()
+      removeDir(test.baseDir)
+    }
+  })
+})
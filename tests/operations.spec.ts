@@ -0,0 +1,121 @@
+import { after, before, describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createApp, readItems, readLedger, removeDir, send, sendSilently, TestApp } from './utils'
+
+const items = [
+  { name: '纯净水', aliases: ['water', '水'], packs: [{ name: '箱', size: 24 }] },
+  { name: '可乐', aliases: ['cola'] },
+]
+
+describe('库存操作', () => {
+  let test: TestApp
+
+  before(async () => {
+    test = await createApp({ items })
+  })
+
+  after(async () => {
+    await test.stop()
+    removeDir(test.baseDir)
+  })
+
+  it('增加和减少库存并回复排行榜和校验码', async () => {
+    const client = test.client('alice')
+    const [added] = await send(client, 'water+24')
+    assert.match(added, /^纯净水 \+24，当前库存：24瓶/)
+    assert.match(added, /纯净水累计排行榜：\n1\. alice: 24瓶/)
+    assert.match(added, /wmc_ref: \d+_alice_纯净水_[0-9a-f]{6}$/)
+
+    const [consumed] = await send(client, 'water-2')
+    assert.match(consumed, /^纯净水 -2，当前库存：22瓶/)
+    assert.match(consumed, /纯净水消耗排行榜：\n1\. alice: 2瓶/)
+    assert.equal(readItems(test.baseDir)['纯净水'].count, 22)
+  })
+
+  it('= 操作按差值记录', async () => {
+    const client = test.client('bob')
+    const [reply] = await send(client, 'water=10')
+    assert.match(reply, /^纯净水 -12，当前库存：10瓶/)
+    const item = readItems(test.baseDir)['纯净水']
+    assert.equal(item.totalConsumed, 14)
+    assert.deepEqual(readLedger(test.baseDir).at(-1)?.change, -12)
+  })
+
+  it('-r 操作只修改库存，不计入排行榜', async () => {
+    const client = test.client('carol')
+    const [reply] = await send(client, 'water-1-r')
+    assert.equal(reply.split('\n')[0], '纯净水 -1，当前库存：9瓶（不计入排行榜）')
+    assert.doesNotMatch(reply, /排行榜：/)
+    const record = readLedger(test.baseDir).at(-1)!
+    assert.equal(record.isRanked, false)
+    assert.equal(readItems(test.baseDir)['纯净水'].totalConsumed, 14)
+
+    const [ranking] = await send(client, 'rank water')
+    assert.doesNotMatch(ranking, /carol/)
+  })
+
+  it('物品名中的 -r 不会被当作参数', async () => {
+    const [reply] = await send(test.client('carol'), 'water-1 -r')
+    assert.match(reply, /^纯净水 -1，当前库存：8瓶（不计入排行榜）/)
+    assert.deepEqual(await sendSilently(test.client('carol'), 'water-r'), [])
+  })
+
+  it('库存不足时只扣到 0，记录实际变化量，撤销后恢复原库存', async () => {
+    const client = test.client('dave')
+    await send(client, 'cola+3')
+    const [reply] = await send(client, 'cola-5')
+    assert.match(reply, /^可乐 -3，当前库存：0瓶/)
+    assert.equal(readLedger(test.baseDir).at(-1)?.change, -3)
+    assert.equal(readItems(test.baseDir)['可乐'].totalConsumed, 3)
+
+    const [bill] = await send(client, 'rank cola')
+    assert.match(bill, /1\. dave: 3瓶/)
+
+    const [undone] = await send(client, 'stock.undo')
+    assert.match(undone, /^已撤销 #\d+（dave 可乐 -3），当前库存：3瓶/)
+    assert.equal(readItems(test.baseDir)['可乐'].count, 3)
+  })
+
+  it('撤销时库存只恢复到 0，反向记录和累计数据按实际变化量计算', async () => {
+    await send(test.client('alice'), 'cola+24')
+    await send(test.client('bob'), 'cola-20')
+    const totalAdded = readItems(test.baseDir)['可乐'].totalAdded
+
+    const [undone] = await send(test.client('alice'), 'stock.undo')
+    assert.match(undone, /^已撤销 #\d+（alice 可乐 \+24），当前库存：0瓶/)
+    const record = readLedger(test.baseDir).at(-1)!
+    assert.equal(record.change, -7)
+    assert.equal(record.balance, 0)
+    const item = readItems(test.baseDir)['可乐']
+    assert.equal(item.count, 0)
+    assert.equal(item.totalAdded, totalAdded - 7)
+    await send(test.client('alice'), 'cola+3')
+  })
+
+  it('批量操作中有无法识别的操作时整体不执行', async () => {
+    const client = test.client('erin')
+    const [reply] = await send(client, 'water+1 foo+2')
+    assert.equal(reply, '无法识别：foo+2，本次操作均未执行')
+    assert.equal(readItems(test.baseDir)['纯净水'].count, 8)
+
+    const [batch] = await send(client, 'water+1箱 cola+2')
+    assert.match(batch, /^纯净水 \+24，当前库存：32瓶\n可乐 \+2，当前库存：5瓶/)
+    const [first, second] = readLedger(test.baseDir).slice(-2)
+    assert.equal(first.ref, second.ref)
+  })
+
+  it('查询库存和最近操作', async () => {
+    const [reply] = await send(test.client('frank'), '水有多少')
+    assert.match(reply, /^纯净水当前库存：32瓶/)
+    assert.match(reply, /最近操作：/)
+  })
+
+  it('询问剩余数量时按查询回复', async () => {
+    for (const question of ['水还剩多少', '水还剩几瓶', '水剩多少']) {
+      const [reply] = await send(test.client('frank'), question)
+      assert.match(reply, /^纯净水当前库存：32瓶/)
+    }
+    const [set] = await send(test.client('frank'), '水还剩30瓶')
+    assert.match(set, /^纯净水 -2，当前库存：30瓶（不计入排行榜）/)
+  })
+})
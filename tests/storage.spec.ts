@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createDatabaseStorage, StockStorage } from '../src/storage'
+import { createApp, readItems, readLedger, removeDir, send } from './utils'
+
+const items = [
+  { name: '纯净水', aliases: ['water', '水'] },
+]
+
+describe('文件存储', () => {
+  it('重启后保留库存、排行榜和全部操作记录', async () => {
+    const first = await createApp({ items })
+    const client = first.client('alice')
+    await send(client, 'water+200')
+    for (let i = 0; i < 119; i++) await first.app.stock.operate('default', { userId: 'bob', userName: 'bob' }, [
+      { item: 'water', operation: '-', value: 1 },
+    ])
+    await first.stop()
+
+    assert.equal(readItems(first.baseDir)['纯净水'].count, 81)
+    assert.equal(readLedger(first.baseDir).length, 120)
+
+    const second = await createApp({ items }, { baseDir: first.baseDir })
+    try {
+      const [reply] = await send(second.client('carol'), '水有多少')
+      assert.match(reply, /^纯净水当前库存：81瓶/)
+      assert.deepEqual(await send(second.client('carol'), 'rank water'), ['纯净水消耗排行榜：\n1. bob: 119瓶'])
+
+      const records = await second.app.stock.getRecords('default', { limit: 1000 })
+      assert.equal(records.length, 120)
+      // 服务按时间从新到旧返回记录
+      assert.deepEqual(records.map(record => record.id), Array.from({ length: 120 }, (_, index) => 120 - index))
+
+      // 重启后的新记录编号接着已有记录继续
+      await send(second.client('carol'), 'water-1')
+      assert.equal(readLedger(second.baseDir).at(-1)?.id, 121)
+    } finally {
+      await second.stop()
+      removeDir(second.baseDir)
+    }
+  })
+
+  it('并发操作不丢失更新', async () => {
+    const test = await createApp({ items })
+    try {
+      await send(test.client('alice'), 'water+50')
+      const replies = await Promise.all(Array.from({ length: 20 }, (_, index) => send(test.client(`user${index}`), 'water-1')))
+      assert.ok(replies.every(([reply]) => /^纯净水 -1，当前库存：\d+瓶/.test(reply)))
+
+      assert.equal(readItems(test.baseDir)['纯净水'].count, 30)
+      const ledger = readLedger(test.baseDir)
+      assert.equal(ledger.length, 21)
+      assert.equal(new Set(ledger.map(record => record.id)).size, 21)
+      // 每条记录的余额各不相同，说明操作是依次执行的
+      assert.equal(new Set(ledger.map(record => record.balance)).size, 21)
+    } finally {
+      await test.stop()
+      removeDir(test.baseDir)
+    }
+  })
+})
+
+describe('数据库存储', () => {
+  it('操作写入 stock_item 和 stock_record 表', async () => {
+    const test = await createApp({ items, storage: 'database' }, { database: true })
+    try {
+      const [reply] = await send(test.client('alice'), 'water+5')
+      assert.match(reply, /^纯净水 \+5，当前库存：5瓶/)
+      await send(test.client('bob'), 'water-2')
+
+      const [item] = await test.app.database.get('stock_item', { store: 'default', name: '纯净水' })
+      assert.equal(item.count, 3)
+      assert.equal(item.totalConsumed, 2)
+      const records = await test.app.database.get('stock_record', { store: 'default' }, { sort: { id: 'asc' } })
+      assert.deepEqual(records.map(record => [record.userId, record.change]), [['alice', 5], ['bob', -2]])
+    } finally {
+      await test.stop()
+      removeDir(test.baseDir)
+    }
+  })
+
+  it('按记录编号加载同一批操作的记录', async () => {
+    const test = await createApp({ items, storage: 'database', isolateChannels: true }, { database: true })
+    try {
+      // 同一批操作的记录时间相同，写入顺序与编号相反
+      const timestamp = Date.now()
+      for (const id of [2, 1]) {
+        await test.app.database.create('stock_record', {
+          store: 'channel-g9', id, itemName: '纯净水', userId: 'alice', userName: 'alice',
+          change: id, timestamp, isRanked: true, balance: id === 1 ? 1 : 3, ref: 'batch',
+        })
+      }
+      await send(test.client('alice', 'g9'), 'water+1')
+      const records = await test.app.stock.getRecords('channel-g9', {})
+      assert.deepEqual(records.map(record => record.id), [3, 2, 1])
+    } finally {
+      await test.stop()
+      removeDir(test.baseDir)
+    }
+  })
+
+  it('从 YAML 导入失败后下次加载时重试', async () => {
+    const test = await createApp({ storage: 'database' }, { database: true })
+    const fallback = {
+      loadItems: async () => ({ 纯净水: { name: '纯净水', aliases: [], count: 5, totalAdded: 5, totalConsumed: 0 } }),
+      loadRecords: async () => [],
+      loadOrders: async () => [],
+    } as unknown as StockStorage
+    const database = test.app.database
+    const get = database.get
+    try {
+      const storage = createDatabaseStorage(test.app, fallback)
+      database.get = (async () => {
+        throw new Error('connection lost')
+      }) as any
+      await assert.rejects(storage.loadItems('retry'), /connection lost/)
+
+      database.get = get
+      const loaded = await storage.loadItems('retry')
+      assert.equal(loaded?.['纯净水'].count, 5)
+    } finally {
+      database.get = get
+      await test.stop()
+      removeDir(test.baseDir)
+    }
+  })
+})
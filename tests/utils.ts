@@ -0,0 +1,97 @@
+import { App, Context, h } from 'koishi'
+import mock, { MessageClient } from '@koishijs/plugin-mock'
+import memory from '@koishijs/plugin-database-memory'
+import server from '@koishijs/plugin-server'
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import * as yaml from 'yaml'
+import * as stock from '../src'
+
+export interface TestApp {
+  app: App
+  baseDir: string
+  // 创建模拟用户，默认在白名单群 g1 中发言
+  client(userId?: string, channelId?: string): MessageClient
+  stop(): Promise<void>
+}
+
+// 每个应用中按发送者和频道暂存的回复
+const outboxes = new WeakMap<Context, Map<string, string[]>>()
+
+// 创建加载了插件的 Koishi 应用，数据目录为临时目录，传入 baseDir 时复用已有数据（模拟重启）
+export async function createApp(config: Partial<stock.Config> = {}, options: { baseDir?: string; database?: boolean; server?: boolean } = {}): Promise<TestApp> {
+  const baseDir = options.baseDir ?? mkdtempSync(join(tmpdir(), 'stock-manager-'))
+  const app = new App()
+  app.baseDir = baseDir
+  const bot = app.plugin(mock)
+  if (options.database) app.plugin(memory)
+  // HTTP 请求通过 app.mock.webhook 直接发给 server 服务，端口只监听本机
+  if (options.server) app.plugin(server, { host: '127.0.0.1', port: 0 })
+  // 通过 before-send 事件收集发出的回复
+  const replies = new Map<string, string[]>()
+  app.on('before-send', (session, { session: source }) => {
+    if (!source) return
+    const key = `${source.userId}:${source.channelId}`
+    if (!replies.has(key)) replies.set(key, [])
+    replies.get(key)!.push(h.unescape(session.content).trim())
+  })
+  outboxes.set(app, replies)
+  app.plugin(stock, { dailySummaryTime: '', ...config } as stock.Config)
+  await app.start()
+  // 等待默认库存点加载完成，避免测试结束停止应用时初始化仍在进行
+  await app.stock.getItems('default').catch(() => {})
+  return {
+    app,
+    baseDir,
+    client: (userId = '1', channelId = 'g1') => app.mock.client(userId, channelId),
+    // 先停用模拟机器人，否则应用停止时机器人晚于 bots 服务释放会报错
+    stop: async () => {
+      bot.dispose()
+      await app.stop()
+    },
+  }
+}
+
+export function removeDir(baseDir: string) {
+  rmSync(baseDir, { recursive: true, force: true })
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+// 取出发给该用户的全部回复
+function takeReplies(client: MessageClient): string[] {
+  return outboxes.get(client.app)?.get(`${client.userId}:${client.channelId}`)?.splice(0) ?? []
+}
+
+// 发送消息并等待至少 count 条回复；操作和查询由消息监听器异步回复，不在指令中间件内完成
+export async function send(client: MessageClient, content: string, count = 1): Promise<string[]> {
+  takeReplies(client)
+  await client.receive(content)
+  const replies: string[] = []
+  const deadline = Date.now() + 5000
+  while (replies.push(...takeReplies(client)) < count && Date.now() < deadline) await sleep(10)
+  return replies
+}
+
+// 发送消息并确认一段时间内没有回复
+export async function sendSilently(client: MessageClient, content: string): Promise<string[]> {
+  takeReplies(client)
+  await client.receive(content)
+  await sleep(200)
+  return takeReplies(client)
+}
+
+// 读取库存点保存在 items.yml 中的物品数据
+export function readItems(baseDir: string, storeId = 'default'): Record<string, stock.StockItem> {
+  return yaml.parse(readFileSync(join(baseDir, 'data', 'stock-manager', storeId, 'items.yml'), 'utf-8'))
+}
+
+// 读取库存点流水中的全部操作记录
+export function readLedger(baseDir: string, storeId = 'default'): stock.StockRecord[] {
+  const dir = join(baseDir, 'data', 'stock-manager', storeId, 'ledger')
+  return readdirSync(dir).sort().flatMap(file => readFileSync(join(dir, file), 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line)))
+}